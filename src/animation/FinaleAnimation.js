@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { COLORS, CUBIE_SIZE, CUBIE_GAP } from '../utils/constants.js';
+
+// The whole-cube celebration for a full solve: every piece glows and flies
+// apart in a burst of sparks while the cube spins, then they all snap back
+// together. Plays instead of the per-face unlocks.
+export class FinaleAnimation {
+  constructor(cube, particles) {
+    this.cube = cube;
+    this.particles = particles;
+    this.isAnimating = false;
+    this.timeline = null;
+  }
+
+  play(onComplete = null) {
+    this.cancel();
+    this.isAnimating = true;
+
+    const spacing = CUBIE_SIZE + CUBIE_GAP;
+    const cubies = this.freeCubies();
+    const materials = cubies.flatMap(cubie => cubie.mesh.material);
+
+    const tl = gsap.timeline({
+      onComplete: () => {
+        this.isAnimating = false;
+        this.timeline = null;
+        this.cube.group.rotation.y = 0;
+        if (onComplete) onComplete();
+      }
+    });
+
+    // Glow and spin a full turn, ending where it started
+    tl.to(materials, { emissiveIntensity: 0.6, duration: 0.3, ease: "power2.in" }, 0);
+    tl.to(this.cube.group.rotation, { y: Math.PI * 2, duration: 2.2, ease: "power2.inOut" }, 0);
+
+    // Explode: straight out from the middle, tumbling
+    cubies.forEach((cubie) => {
+      const rest = cubie.getRestPosition();
+      const outward = rest.length() < 0.1
+        ? new THREE.Vector3().randomDirection()
+        : rest.clone().normalize();
+      const target = rest.clone().addScaledVector(outward, spacing * (1.2 + Math.random() * 0.8));
+
+      tl.to(cubie.mesh.position, {
+        x: target.x,
+        y: target.y,
+        z: target.z,
+        duration: 0.7,
+        ease: "power3.out"
+      }, 0.25);
+      tl.to(cubie.mesh.rotation, {
+        x: cubie.mesh.rotation.x + (Math.random() - 0.5) * Math.PI,
+        y: cubie.mesh.rotation.y + (Math.random() - 0.5) * Math.PI,
+        z: cubie.mesh.rotation.z + (Math.random() - 0.5) * Math.PI,
+        duration: 0.7,
+        ease: "power3.out"
+      }, 0.25);
+    });
+
+    tl.call(() => this.particles?.burst(Object.values(COLORS)), null, 0.25);
+
+    // Reassemble from the logical state as it is by then, in case a move
+    // was made mid-celebration
+    tl.add(() => this.reassemble(tl), 1.2);
+    tl.to(materials, { emissiveIntensity: 0, duration: 0.6, ease: "power2.out" }, 1.8);
+
+    this.timeline = tl;
+    return tl;
+  }
+
+  reassemble(tl) {
+    this.freeCubies().forEach((cubie) => {
+      const position = cubie.getRestPosition();
+      const rotation = new THREE.Euler().setFromQuaternion(cubie.getRestQuaternion());
+
+      tl.to(cubie.mesh.position, {
+        x: position.x,
+        y: position.y,
+        z: position.z,
+        duration: 0.8,
+        ease: "back.inOut(1.2)"
+      }, 1.2);
+      tl.to(cubie.mesh.rotation, {
+        x: rotation.x,
+        y: rotation.y,
+        z: rotation.z,
+        duration: 0.8,
+        ease: "power3.inOut"
+      }, 1.2);
+    });
+  }
+
+  // Cubies not in the middle of a move (those belong to the move's pivot)
+  freeCubies() {
+    return this.cube.cubies.filter(cubie => cubie.mesh.parent === this.cube.group);
+  }
+
+  // Stop straight away, snapping every cubie back to the logical state
+  cancel() {
+    if (!this.timeline) return;
+
+    this.timeline.kill();
+    this.timeline = null;
+    this.isAnimating = false;
+
+    this.cube.group.rotation.y = 0;
+    this.cube.syncMeshes();
+    this.cube.cubies.forEach(cubie => {
+      cubie.mesh.material.forEach(mat => {
+        gsap.killTweensOf(mat);
+        mat.emissiveIntensity = 0;
+      });
+    });
+  }
+}
@@ -1,27 +1,108 @@
-// Queue to ensure moves execute one at a time
-export class MoveQueue {
-  constructor() {
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Runs moves (and other cube tasks, e.g. a resize) one at a time, in order.
+//
+// - Adjacent moves of the same layers from the same source are merged
+//   before they start: R R becomes R2, R R' disappears (still resolving
+//   both callers, in order).
+// - clear() drops moves that haven't started yet.
+// - A move or task that fails rejects its callers' promises; the queue
+//   carries on with the rest.
+// - Each move is told how many are waiting behind it, so it can hurry up
+//   when there is a backlog.
+//
+// Events: 'empty' when the last queued item has finished
+export class MoveQueue extends EventEmitter {
+  constructor({ merge = true } = {}) {
+    super();
+    this.merge = merge;
+    // Waiting entries: { move, moves, execute, callers } or { task, callers }
+    // where move is the merged result of the original moves, and callers
+    // holds each caller's { resolve, reject }
     this.queue = [];
     this.isAnimating = false;
   }
 
-  add(moveFunction) {
-    return new Promise((resolve) => {
-      this.queue.push({ moveFunction, resolve });
+  // Moves and tasks waiting to start
+  get length() {
+    return this.queue.length;
+  }
+
+  // Any async task, run in turn. Also acts as a barrier moves never merge across
+  add(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, callers: [{ resolve, reject }] });
+      this.processNext();
+    });
+  }
+
+  // move: { axis, layers, direction, source, ... }
+  // execute(move, backlog): performs it, backlog = entries still waiting
+  addMove(move, execute) {
+    return new Promise((resolve, reject) => {
+      const last = this.queue[this.queue.length - 1];
+
+      if (this.merge && last?.move && sameLayers(last.move, move)) {
+        last.move = { ...last.move, direction: combineTurns(last.move.direction, move.direction) };
+        last.moves.push(move);
+        last.callers.push({ resolve, reject });
+        return;
+      }
+
+      this.queue.push({ move, moves: [move], execute, callers: [{ resolve, reject }] });
       this.processNext();
     });
   }
 
+  // Drop every move that hasn't started. Their promises resolve straight
+  // away; tasks stay queued. Returns the dropped moves as they were added
+  clear() {
+    const dropped = this.queue.filter(entry => entry.move);
+    this.queue = this.queue.filter(entry => !entry.move);
+    dropped.forEach(entry => entry.callers.forEach(({ resolve }) => resolve()));
+
+    if (this.queue.length === 0 && !this.isAnimating) {
+      this.emit('empty');
+    }
+    return dropped.flatMap(entry => entry.moves);
+  }
+
   async processNext() {
     if (this.isAnimating || this.queue.length === 0) return;
 
     this.isAnimating = true;
-    const { moveFunction, resolve } = this.queue.shift();
+    const entry = this.queue.shift();
 
-    await moveFunction();
+    try {
+      if (entry.task) {
+        await entry.task();
+      } else if (entry.move.direction !== 0) {
+        // Merged away entirely (R R') - nothing to do
+        await entry.execute(entry.move, this.queue.length);
+      }
+      entry.callers.forEach(({ resolve }) => resolve());
+    } catch (err) {
+      entry.callers.forEach(({ reject }) => reject(err));
+    } finally {
+      this.isAnimating = false;
+    }
 
-    this.isAnimating = false;
-    resolve();
-    this.processNext();
+    if (this.queue.length === 0) {
+      this.emit('empty');
+    } else {
+      this.processNext();
+    }
   }
 }
+
+function sameLayers(a, b) {
+  return a.axis === b.axis && a.source === b.source &&
+    a.layers.length === b.layers.length &&
+    a.layers.every(layer => b.layers.includes(layer));
+}
+
+// Add quarter-turn counts: 1, -1, 2 or 0 for no turn at all
+function combineTurns(a, b) {
+  const quarter = (((a + b) % 4) + 4) % 4;
+  return quarter === 3 ? -1 : quarter;
+}
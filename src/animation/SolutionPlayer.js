@@ -0,0 +1,90 @@
+import { parseAlgorithm } from '../notation/Notation.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Plays a solution on the cube one move at a time, with pause and step.
+// If the cube is turned some other way part-way through, the rest of the
+// solution no longer applies, so playback stops and `isStale` is set.
+//
+// Events: 'change' when progress or play state changes
+export class SolutionPlayer extends EventEmitter {
+  constructor(cube) {
+    super();
+    this.cube = cube;
+    this.moves = [];
+    this.index = 0; // Next move to play
+    this.isPlaying = false;
+    this.isStepping = false; // A move is animating
+    this.isStale = false;
+    this.expected = null; // Facelets the cube should show before moves[index]
+  }
+
+  get isFinished() {
+    return this.index >= this.moves.length;
+  }
+
+  // Start a new solution (a notation string) for the cube's current position
+  load(solution) {
+    this.moves = parseAlgorithm(solution);
+    this.index = 0;
+    this.isPlaying = false;
+    this.isStale = false;
+    this.expected = this.cube.exportFacelets();
+    this.notify();
+  }
+
+  async play() {
+    if (this.isPlaying || this.isStale) return;
+
+    this.isPlaying = true;
+    this.notify();
+
+    while (this.isPlaying && !this.isFinished) {
+      if (!(await this.step())) break;
+    }
+
+    this.isPlaying = false;
+    this.notify();
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this.notify();
+  }
+
+  // Play the next move. Resolves false if there was nothing to play
+  async step() {
+    if (this.isStepping || this.isStale || this.isFinished) return false;
+    this.isStepping = true;
+
+    // Let any other queued moves land before checking we're still on track
+    await this.cube.whenIdle();
+    if (this.cube.exportFacelets() !== this.expected) {
+      this.isStepping = false;
+      this.isPlaying = false;
+      this.isStale = true;
+      this.notify();
+      return false;
+    }
+
+    await this.cube.applyMove(this.moves[this.index], { source: 'solver' });
+    this.expected = this.cube.exportFacelets();
+    this.index++;
+    this.isStepping = false;
+    this.notify();
+    return true;
+  }
+
+  clear() {
+    this.moves = [];
+    this.index = 0;
+    this.isPlaying = false;
+    this.isStale = false;
+    this.expected = null;
+    this.notify();
+  }
+
+  notify() {
+    this.emit('change', this);
+  }
+}
@@ -1,63 +1,48 @@
 import * as THREE from 'three';
 import gsap from 'gsap';
-import { SECTIONS } from '../utils/constants.js';
+import { FACES, CUBIE_SIZE, CUBIE_GAP } from '../utils/constants.js';
 
 export class UnlockAnimation {
   constructor(cube) {
     this.cube = cube;
     this.isAnimating = false;
-    this.savedState = []; // Store positions/rotations before animation
-    this.onComplete = null; // Callback when animation finishes
-    this.animationQueue = []; // Queue for pending face animations
+    this.timeline = null; // GSAP timeline of the animation playing
+    this.queueTimer = null; // Pending start of the next queued animation
+    this.animationQueue = []; // Queue for pending face animations, { face, onComplete, relock }
   }
 
-  // Play the unlock animation for a solved face
-  play(face) {
+  // Play the unlock animation for a solved face, then call onComplete
+  play(face, onComplete = null) {
     // If already animating, queue this face for later
     if (this.isAnimating) {
-      this.animationQueue.push({ face, onComplete: this.onComplete });
-      this.onComplete = null; // Clear so it doesn't get overwritten
+      this.animationQueue.push({ face, onComplete });
       return;
     }
 
     this.isAnimating = true;
 
-    // Save current state of ALL cubies before animating
-    this.savedState = this.cube.cubies.map(cubie => ({
-      cubie,
-      position: cubie.mesh.position.clone(),
-      rotation: cubie.mesh.rotation.clone()
-    }));
-
     const faceCubies = this.getCubiesOnFace(face);
     const faceCenter = this.getFaceCenter(face);
     const faceNormal = this.getFaceNormal(face);
-    const section = SECTIONS[this.getFaceColor(face)];
 
     // Sort cubies by distance from center (center first, corners last)
+    // Positions are in the cube group's space, like faceCenter
     const sortedCubies = [...faceCubies].sort((a, b) => {
-      const posA = new THREE.Vector3();
-      const posB = new THREE.Vector3();
-      a.mesh.getWorldPosition(posA);
-      b.mesh.getWorldPosition(posB);
-      const distA = posA.distanceTo(faceCenter);
-      const distB = posB.distanceTo(faceCenter);
+      const distA = a.mesh.position.distanceTo(faceCenter);
+      const distB = b.mesh.position.distanceTo(faceCenter);
       return distA - distB;
     });
 
-    // Store callback for this specific animation
-    const currentCallback = this.onComplete;
-    this.onComplete = null;
-
     // Create GSAP timeline
     const tl = gsap.timeline({
       onComplete: () => {
         this.isAnimating = false;
+        this.timeline = null;
         this.resetCubePositions();
 
         // Call the onComplete callback for this animation
-        if (currentCallback) {
-          currentCallback();
+        if (onComplete) {
+          onComplete();
         }
 
         // Process next queued animation if any
@@ -80,12 +65,11 @@ export class UnlockAnimation {
 
     // Phase 2: Expand outward with stagger
     sortedCubies.forEach((cubie, i) => {
-      const cubieWorldPos = new THREE.Vector3();
-      cubie.mesh.getWorldPosition(cubieWorldPos);
+      const cubiePos = cubie.mesh.position.clone();
 
       // Direction is combination of outward + forward (along face normal)
       let direction = new THREE.Vector3()
-        .subVectors(cubieWorldPos, faceCenter);
+        .subVectors(cubiePos, faceCenter);
 
       if (direction.length() < 0.1) {
         // Center cubie - push straight out
@@ -98,7 +82,7 @@ export class UnlockAnimation {
       }
 
       const expandDistance = 0.5 + (i * 0.05); // Outer pieces go further
-      const targetPos = cubieWorldPos.clone().add(
+      const targetPos = cubiePos.clone().add(
         direction.multiplyScalar(expandDistance)
       );
 
@@ -123,18 +107,78 @@ export class UnlockAnimation {
     // Phase 3: Hold with glow
     tl.to({}, { duration: 0.4 });
 
+    this.timeline = tl;
+
+    return tl;
+  }
+
+  // Play the unlock in reverse, more briefly, for a face that has just
+  // been broken: its pieces sink back into the cube as their glow fades.
+  // Drops any unlock still queued for that face, and waits its turn
+  // behind one already playing
+  relock(face) {
+    this.animationQueue = this.animationQueue.filter(entry => entry.face !== face);
+
+    if (this.isAnimating) {
+      this.animationQueue.push({ face, relock: true });
+      return;
+    }
+    this.isAnimating = true;
+
+    const faceNormal = this.getFaceNormal(face);
+    const tl = gsap.timeline({
+      onComplete: () => {
+        this.isAnimating = false;
+        this.timeline = null;
+        this.processQueue();
+      }
+    });
+
+    this.getCubiesOnFace(face).forEach((cubie) => {
+      // Mid-turn cubies belong to the move animating them
+      if (cubie.mesh.parent !== this.cube.group) return;
+
+      const rest = cubie.getRestPosition();
+      const sunk = rest.clone().addScaledVector(faceNormal, -0.15);
+
+      tl.to(cubie.mesh.position, {
+        x: sunk.x,
+        y: sunk.y,
+        z: sunk.z,
+        duration: 0.15,
+        ease: "power2.in"
+      }, 0);
+      tl.to(cubie.mesh.position, {
+        x: rest.x,
+        y: rest.y,
+        z: rest.z,
+        duration: 0.35,
+        ease: "back.out(3)"
+      }, 0.15);
+
+      cubie.mesh.material.forEach(mat => {
+        if (mat.emissiveIntensity === undefined) return;
+        tl.to(mat, {
+          emissiveIntensity: 0,
+          duration: 0.5,
+          ease: "power2.out"
+        }, 0);
+      });
+    });
+
+    this.timeline = tl;
     return tl;
   }
 
   getCubiesOnFace(face) {
     const { axis, layer } = this.faceToAxisLayer(face);
-    return this.cube.cubies.filter(c => Math.round(c[axis]) === layer);
+    return this.cube.getCubiesOnLayer(axis, layer);
   }
 
   getFaceCenter(face) {
     const { axis, layer } = this.faceToAxisLayer(face);
     const center = new THREE.Vector3();
-    center[axis] = layer * 1.05; // Slightly outside the cube
+    center[axis] = layer * (CUBIE_SIZE + CUBIE_GAP); // Slightly outside the cube
     return center;
   }
 
@@ -150,28 +194,9 @@ export class UnlockAnimation {
     return normals[face];
   }
 
-  getFaceColor(face) {
-    const colors = {
-      right: 'red',
-      left: 'orange',
-      up: 'white',
-      down: 'yellow',
-      front: 'green',
-      back: 'blue'
-    };
-    return colors[face];
-  }
-
   faceToAxisLayer(face) {
-    const mapping = {
-      right: { axis: 'x', layer: 1 },
-      left: { axis: 'x', layer: -1 },
-      up: { axis: 'y', layer: 1 },
-      down: { axis: 'y', layer: -1 },
-      front: { axis: 'z', layer: 1 },
-      back: { axis: 'z', layer: -1 }
-    };
-    return mapping[face];
+    const { axis, direction } = FACES[face];
+    return { axis, layer: direction * this.cube.state.outerLayer };
   }
 
   // Process the next animation in the queue
@@ -180,33 +205,36 @@ export class UnlockAnimation {
 
     const next = this.animationQueue.shift();
 
-    // Set the callback for the next animation
-    this.onComplete = next.onComplete;
-
     // Play the animation (with a small delay for visual separation)
-    setTimeout(() => {
-      this.play(next.face);
+    this.queueTimer = setTimeout(() => {
+      this.queueTimer = null;
+      if (next.relock) {
+        this.relock(next.face);
+      } else {
+        this.play(next.face, next.onComplete);
+      }
     }, 200);
   }
 
+  // Ease every cubie back to where the logical state says it is. Computed
+  // from the state rather than saved transforms, so moves made during the
+  // animation (e.g. in a replay) aren't undone visually
   resetCubePositions() {
-    const offset = 1.05; // CUBIE_SIZE + gap
+    this.cube.cubies.forEach(cubie => {
+      // Mid-turn cubies get snapped when their move finishes
+      if (cubie.mesh.parent !== this.cube.group) return;
 
-    // Restore each cubie using clean calculated positions
-    this.savedState.forEach(({ cubie, rotation }) => {
       // Kill any existing tweens on this mesh
       gsap.killTweensOf(cubie.mesh.position);
       gsap.killTweensOf(cubie.mesh.rotation);
 
-      // Calculate clean position from logical coordinates
-      const cleanX = cubie.x * offset;
-      const cleanY = cubie.y * offset;
-      const cleanZ = cubie.z * offset;
+      const position = cubie.getRestPosition();
+      const rotation = new THREE.Euler().setFromQuaternion(cubie.getRestQuaternion());
 
       gsap.to(cubie.mesh.position, {
-        x: cleanX,
-        y: cleanY,
-        z: cleanZ,
+        x: position.x,
+        y: position.y,
+        z: position.z,
         duration: 0.4,
         ease: "power2.out",
         overwrite: true
@@ -230,8 +258,24 @@ export class UnlockAnimation {
         }
       });
     });
+  }
 
-    // Clear saved state
-    this.savedState = [];
+  // Stop straight away (and drop anything queued), snapping every cubie
+  // back to the logical state
+  cancel() {
+    this.timeline?.kill();
+    this.timeline = null;
+    clearTimeout(this.queueTimer);
+    this.queueTimer = null;
+    this.animationQueue = [];
+    this.isAnimating = false;
+
+    this.cube.syncMeshes();
+    this.cube.cubies.forEach(cubie => {
+      cubie.mesh.material.forEach(mat => {
+        gsap.killTweensOf(mat);
+        mat.emissiveIntensity = 0;
+      });
+    });
   }
 }
@@ -1,6 +1,37 @@
 import * as THREE from 'three';
 import { RaycasterHelper } from './Raycaster.js';
+import { LayerHighlight, HIGHLIGHT_PRIORITY } from '../effects/LayerHighlight.js';
 
+const QUARTER_TURN = Math.PI / 2;
+
+// Drag distance per radian when the sticker moves almost straight towards
+// or away from the camera, so a small drag can't spin the layer wildly
+const MIN_PIXELS_PER_RADIAN = 40;
+
+// On release the layer snaps to where it would be this long after, at the
+// speed it was moving - so a quick flick turns it even if it barely moved
+const FLICK_TIME = 0.15; // seconds
+
+// Only the last part of the drag counts towards that speed
+const VELOCITY_WINDOW = 100; // ms
+
+// Touch and hold this long (without dragging) to preview the layers a
+// drag from there can turn
+const LONG_PRESS = 400; // ms
+
+// The layer under the pointer turns live as it drags, with the grabbed
+// sticker following the pointer from any viewing angle, then snaps to the
+// nearest quarter or half turn on release (or back, if it's near where it
+// started). The cube's state only changes once it has snapped to a turn.
+//
+// Uses pointer events, so mouse, pen and touch all work: one pointer on a
+// cubie turns a layer, anywhere else it's left to OrbitControls (orbit
+// with one finger, pinch with two). A second finger landing mid-turn
+// cancels the turn and hands both fingers to OrbitControls.
+//
+// While nothing is held, the sticker under the mouse lights up; once a
+// drag picks its layer, that layer glows with an arrow showing which way
+// it's being turned.
 export class DragControls {
   constructor(cube, camera, canvas, orbitControls) {
     this.cube = cube;
@@ -9,69 +40,246 @@ export class DragControls {
     this.orbitControls = orbitControls;
     this.raycaster = new RaycasterHelper(camera, canvas);
 
+    // Pointers down on the canvas, id -> { x, y }
+    this.pointers = new Map();
+
     // Drag state
     this.isDragging = false;
+    this.pointerId = null; // Pointer doing the drag
     this.dragStart = null;
     this.clickedCubie = null;
-    this.clickedFaceNormal = null;
+    this.clickedFaceNormal = null; // In the cube group's space
+    this.clickedPoint = null; // Where the sticker was grabbed, also in the group's space
+    // Once the drag picks a layer: { axis, layer, tangent, samples, direction }
+    this.rotation = null;
 
     // Threshold for detecting a drag vs click
     this.dragThreshold = 10; // pixels
 
+    this.longPressTimer = null;
+    this.isPreviewing = false;
+    this.isHandingOver = false; // Replaying a pointerdown for OrbitControls
+
+    // Their own highlights, which give way to a hint's
+    this.highlight = new LayerHighlight(cube, { priority: HIGHLIGHT_PRIORITY.drag });
+    this.hoverHighlight = new LayerHighlight(cube, { priority: HIGHLIGHT_PRIORITY.hover });
+    this.hovered = null; // { cubie, materialIndex } under the mouse
+
     this.setupEventListeners();
   }
 
   setupEventListeners() {
-    this.canvas.addEventListener('mousedown', this.onMouseDown.bind(this));
-    this.canvas.addEventListener('mousemove', this.onMouseMove.bind(this));
-    this.canvas.addEventListener('mouseup', this.onMouseUp.bind(this));
+    // Capture phase, so a press on a cubie can switch OrbitControls off
+    // before its own pointerdown listener sees it
+    this.canvas.addEventListener('pointerdown', this.onPointerDown.bind(this), { capture: true });
+    this.canvas.addEventListener('pointermove', this.onPointerMove.bind(this));
+    this.canvas.addEventListener('pointerup', this.onPointerUp.bind(this));
+    this.canvas.addEventListener('pointercancel', this.onPointerCancel.bind(this));
+    this.canvas.addEventListener('pointerleave', this.onPointerLeave.bind(this));
+
+    // No browser scrolling or zooming on touch
+    this.canvas.style.touchAction = 'none';
   }
 
-  onMouseDown(event) {
-    this.raycaster.updateMouse(event);
+  onPointerDown(event) {
+    if (this.isHandingOver) return;
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    // A second finger means a pinch, not a turn
+    if (this.pointers.size > 1) {
+      if (this.isDragging) this.handOverToOrbit();
+      return;
+    }
 
-    // Get all cubie meshes
-    const cubieMeshes = this.cube.cubies.map(c => c.mesh);
-    const intersection = this.raycaster.getFirstIntersection(cubieMeshes);
+    this.clearHover();
+    const intersection = this.raycastCubies(event);
 
     if (intersection) {
       // Clicked on a cubie
       this.isDragging = true;
+      this.pointerId = event.pointerId;
       this.dragStart = { x: event.clientX, y: event.clientY };
       this.clickedCubie = this.findCubieByMesh(intersection.object);
-      this.clickedFaceNormal = intersection.face.normal.clone();
+      this.clickedPoint = this.cube.group.worldToLocal(intersection.point.clone());
 
-      // Transform normal to world space
-      this.clickedFaceNormal.transformDirection(intersection.object.matrixWorld);
+      // Transform normal to the cube group's space (via world space, as the
+      // cubie may be mid-turn in a pivot)
+      const worldToGroup = this.cube.group.matrixWorld.clone().invert();
+      this.clickedFaceNormal = intersection.face.normal.clone()
+        .transformDirection(intersection.object.matrixWorld)
+        .transformDirection(worldToGroup);
 
       // Disable orbit controls while potentially rotating a face
       this.orbitControls.enabled = false;
+
+      // Keep getting moves if the pointer leaves the canvas
+      this.canvas.setPointerCapture(event.pointerId);
+
+      if (event.pointerType === 'touch') {
+        this.longPressTimer = setTimeout(() => this.showPreview(), LONG_PRESS);
+      }
     }
   }
 
-  onMouseMove(event) {
-    if (!this.isDragging || !this.dragStart) return;
+  onPointerMove(event) {
+    if (this.pointers.has(event.pointerId)) {
+      this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    }
+    if (!this.isDragging) {
+      if (event.pointerType === 'mouse' && this.pointers.size === 0) this.updateHover(event);
+      return;
+    }
+    if (!this.dragStart || event.pointerId !== this.pointerId) return;
 
     const dx = event.clientX - this.dragStart.x;
     const dy = event.clientY - this.dragStart.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
 
-    // Check if we've dragged far enough
-    if (distance > this.dragThreshold) {
-      this.executeFaceRotation(dx, dy);
-      this.resetDrag();
+    if (!this.rotation) {
+      // Wait until it's clearly a drag, then pick the layer and lock it in
+      if (Math.sqrt(dx * dx + dy * dy) <= this.dragThreshold) return;
+      this.hidePreview();
+      if (!this.startLayerRotation(dx, dy)) {
+        this.resetDrag();
+        return;
+      }
+    }
+
+    const angle = this.getDragAngle(dx, dy);
+    this.cube.setManualRotation(angle);
+    this.showTurnDirection(Math.sign(angle));
+
+    const { samples } = this.rotation;
+    samples.push({ time: event.timeStamp, angle });
+    while (event.timeStamp - samples[0].time > VELOCITY_WINDOW) {
+      samples.shift();
+    }
+  }
+
+  onPointerUp(event) {
+    this.pointers.delete(event.pointerId);
+    if (event.pointerId !== this.pointerId) return;
+
+    if (this.rotation) {
+      this.cube.endManualRotation(this.getSnapTurns(event.timeStamp));
+    }
+    this.resetDrag();
+    if (event.pointerType === 'mouse') this.updateHover(event);
+  }
+
+  // The browser took the pointer away (e.g. a system gesture) - put the
+  // layer back rather than guess
+  onPointerCancel(event) {
+    this.pointers.delete(event.pointerId);
+    if (event.pointerId !== this.pointerId) return;
+
+    if (this.rotation) {
+      this.cube.endManualRotation(0);
+    }
+    this.resetDrag();
+  }
+
+  onPointerLeave(event) {
+    if (event.pointerType === 'mouse' && !this.isDragging) this.clearHover();
+  }
+
+  raycastCubies(event) {
+    this.raycaster.updateMouse(event);
+    return this.raycaster.getFirstIntersection(this.cube.cubies.map(c => c.mesh));
+  }
+
+  // Light up the sticker under the mouse, if any
+  updateHover(event) {
+    const intersection = this.raycastCubies(event);
+    if (!intersection) {
+      this.clearHover();
+      return;
     }
+
+    const cubie = this.findCubieByMesh(intersection.object);
+    const { materialIndex } = intersection.face;
+    if (this.hovered?.cubie === cubie && this.hovered.materialIndex === materialIndex) return;
+
+    this.hovered = { cubie, materialIndex };
+    this.hoverHighlight.showSticker(cubie, materialIndex);
+  }
+
+  clearHover() {
+    if (!this.hovered) return;
+    this.hovered = null;
+    this.hoverHighlight.clear();
   }
 
-  onMouseUp(event) {
+  // Glow the layer being dragged, with an arrow the way it's going (1 or
+  // -1, as a turn direction), starting from the grabbed sticker
+  showTurnDirection(direction) {
+    const turn = direction || 1;
+    if (this.rotation.direction === turn) return;
+
+    this.rotation.direction = turn;
+    const { axis, layer } = this.rotation;
+    this.highlight.show(axis, [layer], { direction: turn, anchor: this.clickedPoint, pulse: false });
+  }
+
+  // Drop the turn in progress and give OrbitControls the first finger too,
+  // as if it had been orbiting all along, so the two fingers can pinch
+  handOverToOrbit() {
+    const pointerId = this.pointerId;
+    const position = this.pointers.get(pointerId);
+
+    if (this.rotation) {
+      this.cube.endManualRotation(0);
+    }
     this.resetDrag();
+
+    this.isHandingOver = true;
+    this.canvas.dispatchEvent(new PointerEvent('pointerdown', {
+      pointerId,
+      pointerType: 'touch',
+      isPrimary: true,
+      clientX: position.x,
+      clientY: position.y
+    }));
+    this.isHandingOver = false;
+  }
+
+  // Long-press: pulse every layer a drag from the pressed sticker can turn
+  showPreview() {
+    this.longPressTimer = null;
+    if (!this.clickedCubie || this.rotation) return;
+
+    const faceAxis = getFaceAxis(this.clickedFaceNormal);
+    const cubies = new Set();
+    ['x', 'y', 'z'].filter(axis => axis !== faceAxis).forEach(axis => {
+      this.cube.getCubiesOnLayer(axis, this.clickedCubie[axis]).forEach(cubie => cubies.add(cubie));
+    });
+    this.isPreviewing = true;
+    this.highlight.showCubies([...cubies]);
+  }
+
+  hidePreview() {
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+
+    if (this.isPreviewing) {
+      this.isPreviewing = false;
+      this.highlight.clear();
+    }
   }
 
   resetDrag() {
+    this.hidePreview();
+    this.highlight.clear();
+    if (this.pointerId !== null && this.canvas.hasPointerCapture(this.pointerId)) {
+      this.canvas.releasePointerCapture(this.pointerId);
+    }
+
     this.isDragging = false;
+    this.pointerId = null;
     this.dragStart = null;
     this.clickedCubie = null;
     this.clickedFaceNormal = null;
+    this.clickedPoint = null;
+    this.rotation = null;
     this.orbitControls.enabled = true;
   }
 
@@ -79,86 +287,98 @@ export class DragControls {
     return this.cube.cubies.find(c => c.mesh === mesh);
   }
 
-  executeFaceRotation(dx, dy) {
-    if (!this.clickedCubie || !this.clickedFaceNormal) return;
+  // Pick the layer to turn: of the two layers through the grabbed sticker
+  // (one for each axis along its face), the one whose turn moves the
+  // sticker on screen most nearly the way the pointer went. Takes hold of
+  // it; returns false if the cube is busy with other moves
+  startLayerRotation(dx, dy) {
+    if (!this.clickedCubie || !this.clickedFaceNormal) return false;
 
     // Determine which axis the clicked face is on
-    const normal = this.clickedFaceNormal;
-    const absX = Math.abs(normal.x);
-    const absY = Math.abs(normal.y);
-    const absZ = Math.abs(normal.z);
-
-    let clickedAxis;
-
-    if (absX > absY && absX > absZ) {
-      clickedAxis = 'x';
-    } else if (absY > absZ) {
-      clickedAxis = 'y';
-    } else {
-      clickedAxis = 'z';
-    }
+    const clickedAxis = getFaceAxis(this.clickedFaceNormal);
+    const drag = new THREE.Vector2(dx, dy).normalize();
+
+    let best = null;
+    ['x', 'y', 'z'].filter(axis => axis !== clickedAxis).forEach(axis => {
+      const tangent = this.getScreenTangent(axis);
+      const alignment = Math.abs(drag.dot(tangent.clone().normalize()));
+      if (!best || alignment > best.alignment) {
+        best = { axis, tangent, alignment };
+      }
+    });
+
+    // Get the layer to rotate
+    const { axis, tangent } = best;
+    const rotationLayer = this.clickedCubie[axis];
+    if (!this.cube.beginManualRotation(axis, [rotationLayer])) return false;
+
+    this.rotation = { axis, layer: rotationLayer, tangent, samples: [], direction: 0 };
+    return true;
+  }
+
+  // How the grabbed point moves on screen, in pixels per radian, when its
+  // layer turns the positive way about axis
+  getScreenTangent(axis) {
+    const axisVector = new THREE.Vector3();
+    axisVector[axis] = 1;
 
-    // Determine rotation axis and direction based on drag direction
-    const { axis, direction } = this.determineRotation(clickedAxis, dx, dy);
+    // Turning about a unit axis moves a point at axis x point per radian
+    const step = 0.01;
+    const velocity = new THREE.Vector3().crossVectors(axisVector, this.clickedPoint);
+    const from = this.toScreen(this.clickedPoint);
+    const to = this.toScreen(this.clickedPoint.clone().addScaledVector(velocity, step));
 
-    if (axis && direction) {
-      // Get the layer to rotate
-      const rotationLayer = this.clickedCubie[axis];
-      this.cube.rotate(axis, Math.round(rotationLayer), direction);
+    const tangent = to.sub(from).divideScalar(step);
+    if (tangent.length() < MIN_PIXELS_PER_RADIAN) {
+      tangent.setLength(MIN_PIXELS_PER_RADIAN);
     }
+    return tangent;
   }
 
-  determineRotation(clickedAxis, dx, dy) {
-    // Determine if the drag is more horizontal or vertical
-    const isHorizontal = Math.abs(dx) > Math.abs(dy);
-    const isPositiveX = dx > 0;
-    const isPositiveY = dy > 0;
-
-    if (clickedAxis === 'z') {
-      // Front or back face clicked
-      if (isHorizontal) {
-        // Horizontal drag rotates around Y
-        return {
-          axis: 'y',
-          direction: isPositiveX ? 1 : -1
-        };
-      } else {
-        // Vertical drag rotates around X
-        return {
-          axis: 'x',
-          direction: isPositiveY ? -1 : 1
-        };
-      }
-    } else if (clickedAxis === 'y') {
-      // Top or bottom face clicked
-      if (isHorizontal) {
-        // Horizontal drag rotates around Z
-        return {
-          axis: 'z',
-          direction: isPositiveX ? -1 : 1
-        };
-      } else {
-        // Vertical drag rotates around X
-        return {
-          axis: 'x',
-          direction: isPositiveY ? -1 : 1
-        };
-      }
-    } else {
-      // Left or right face clicked (x-axis)
-      if (isHorizontal) {
-        // Horizontal drag rotates around Y
-        return {
-          axis: 'y',
-          direction: isPositiveX ? 1 : -1
-        };
-      } else {
-        // Vertical drag rotates around Z
-        return {
-          axis: 'z',
-          direction: isPositiveY ? 1 : -1
-        };
-      }
+  // A point in the cube group's space to canvas pixels (y down, like dy)
+  toScreen(point) {
+    const ndc = point.clone().applyMatrix4(this.cube.group.matrixWorld).project(this.camera);
+    const rect = this.canvas.getBoundingClientRect();
+    return new THREE.Vector2(
+      (ndc.x + 1) / 2 * rect.width,
+      (1 - ndc.y) / 2 * rect.height
+    );
+  }
+
+  // Layer angle that keeps the grabbed sticker under the pointer: the drag
+  // along the tangent, converted to radians
+  getDragAngle(dx, dy) {
+    const { tangent } = this.rotation;
+    return new THREE.Vector2(dx, dy).dot(tangent) / tangent.lengthSq();
+  }
+
+  // Quarter turns to snap to on release: -2 to 2, 0 to cancel
+  getSnapTurns(time) {
+    const { samples } = this.rotation;
+    if (samples.length === 0) return 0;
+
+    // Held still before letting go - no flick
+    const last = samples[samples.length - 1];
+    const recent = samples.filter(sample => time - sample.time <= VELOCITY_WINDOW);
+    let velocity = 0;
+    if (recent.length > 1) {
+      const first = recent[0];
+      velocity = (last.angle - first.angle) / ((last.time - first.time) / 1000);
     }
+
+    const projected = last.angle + velocity * FLICK_TIME;
+    const turns = Math.round(projected / QUARTER_TURN);
+    return Math.max(-2, Math.min(2, turns));
   }
 }
+
+// Axis a face points along, from its normal
+function getFaceAxis(normal) {
+  const absX = Math.abs(normal.x);
+  const absY = Math.abs(normal.y);
+  const absZ = Math.abs(normal.z);
+
+  if (absX > absY && absX > absZ) return 'x';
+  if (absY > absZ) return 'y';
+  return 'z';
+}
@@ -1,66 +1,105 @@
-// Standard Rubik's cube notation
-// R = Right, L = Left, U = Up, D = Down, F = Front, B = Back
-// Lowercase or with Shift = counter-clockwise (prime moves)
+// Keyboard turns, through a Keymap (see Keymap.js). In the default
+// layout R, L, U, D, F, B turn faces, M, E, S slices and X, Y, Z rotate
+// the cube; Shift reverses the move. A number key first picks an inner
+// layer (2 then R = 2R) and W makes it a wide move (3, W, R = 3Rw).
+//
+// With viewRelative on (pass the camera), faces are named as the viewer
+// sees them: F is the face most toward the camera, U the one most up on
+// screen, and X/Y/Z turn the cube about the screen's axes.
+//
+// options.dev turns on the debug keys: ` resets, Ctrl+1 does R U F
+
+import { parseAlgorithm, moveToRotation } from '../notation/Notation.js';
+import { getViewFrame, toViewRotation } from './ViewFrame.js';
+import { PREFIX_KEYS } from './Keymap.js';
+
+// Moves a layer prefix can apply to
+const OUTER_FACES = ['R', 'L', 'U', 'D', 'F', 'B'];
+
+// Returns the settings object, e.g. keyboard.viewRelative = true
+export function setupKeyboardControls(cube, keymap, { camera = null, dev = false } = {}) {
+  const keyboard = { viewRelative: false };
+
+  // Layer prefix typed before the next face key
+  let depth = '';
+  let wide = false;
 
-export function setupKeyboardControls(cube) {
   document.addEventListener('keydown', (e) => {
     // Ignore if typing in input field
     if (e.target.tagName === 'INPUT') return;
 
     const key = e.key.toLowerCase();
     const isShift = e.shiftKey;
+    const isCtrl = e.ctrlKey || e.metaKey;
 
-    // Direction: 1 = clockwise, -1 = counter-clockwise (prime)
-    const dir = isShift ? -1 : 1;
-
-    switch (key) {
-      case 'r': // Right face
-        cube.rotate('x', 1, dir);
-        break;
-      case 'l': // Left face
-        cube.rotate('x', -1, -dir); // Inverted because we look from right
-        break;
-      case 'u': // Up face
-        cube.rotate('y', 1, dir);
-        break;
-      case 'd': // Down face
-        cube.rotate('y', -1, -dir);
-        break;
-      case 'f': // Front face
-        cube.rotate('z', 1, dir);
-        break;
-      case 'b': // Back face
-        cube.rotate('z', -1, -dir);
-        break;
-      case 'm': // Middle layer (between L and R)
-        cube.rotate('x', 0, -dir);
-        break;
-      case 'e': // Equatorial layer (between U and D)
-        cube.rotate('y', 0, -dir);
-        break;
-      case 's': // Standing layer (between F and B)
-        cube.rotate('z', 0, dir);
-        break;
+    // Ctrl+Z = undo, Ctrl+Shift+Z or Ctrl+Y = redo
+    if (isCtrl && (key === 'z' || key === 'y')) {
+      e.preventDefault();
+      if (key === 'z' && !isShift) {
+        cube.undo();
+      } else {
+        cube.redo();
+      }
+      return;
+    }
 
-      // Debug keys
-      case '`': // Backtick = reset to solved state
+    // Debug keys
+    if (dev) {
+      if (key === '`') { // Backtick = reset to solved state
         cube.reset();
         console.log('Cube reset to solved state');
-        break;
-      case '1': // Quick scramble (3 moves) for easy testing
-        if (e.ctrlKey || e.metaKey) {
-          e.preventDefault();
-          cube.rotate('x', 1, 1);
-          cube.rotate('y', 1, 1);
-          cube.rotate('z', 1, 1);
-          console.log('Quick scramble: R U F');
+        return;
+      }
+      if (isCtrl && key === '1') { // Quick scramble (3 moves) for easy testing
+        e.preventDefault();
+        cube.applyAlgorithm('R U F');
+        console.log('Quick scramble: R U F');
+        return;
+      }
+    }
+
+    if (keymap.prefixes && !isCtrl && PREFIX_KEYS.includes(key)) {
+      if (key === 'w') {
+        wide = true;
+      } else {
+        depth = key;
+      }
+      return;
+    }
+
+    // Leave browser shortcuts (Ctrl+C, Ctrl+R...) alone
+    if (isCtrl) return;
+
+    const bound = keymap.getMove(key);
+    if (!bound) return;
+
+    let move = bound;
+    if (keymap.prefixes && OUTER_FACES.includes(bound)) {
+      move = `${depth}${bound}${wide ? 'w' : ''}`;
+    }
+    depth = '';
+    wide = false;
+
+    try {
+      const moves = parseAlgorithm(keymap.shiftPrime && isShift ? `(${move})'` : move);
+      moves.forEach(parsed => {
+        let rotation = moveToRotation(parsed, cube.size);
+        if (keyboard.viewRelative && camera) {
+          rotation = toViewRotation(rotation, getViewFrame(camera, cube.group));
         }
-        break;
+        cube.rotateLayers(rotation.axis, rotation.layers, rotation.direction);
+      });
+    } catch (err) {
+      // e.g. M on a 2x2, or 5R on a 4x4
+      console.warn(err.message);
     }
   });
 
-  console.log('Keyboard controls active:');
-  console.log('R/L/U/D/F/B = rotate faces');
-  console.log('Hold Shift for counter-clockwise');
-  console.log('` = reset to solved | Ctrl+1 = quick scramble');
+  console.log(`Keyboard controls active (${keymap.name} keys)`);
+  console.log('Ctrl+Z = undo | Ctrl+Shift+Z = redo');
+  if (dev) {
+    console.log('` = reset to solved | Ctrl+1 = quick scramble');
+  }
+
+  return keyboard;
 }
@@ -0,0 +1,169 @@
+// Which key makes which move, kept in localStorage.
+//
+// A keymap binds keys (KeyboardEvent.key, lowercased) to moves in notation.
+// Presets can also take two modifier schemes from the default layout:
+// shiftPrime - Shift reverses the bound move
+// prefixes   - a digit first picks an inner layer and W makes it wide
+//              (see KeyboardControls)
+//
+// Remapping a key turns the current preset into a custom copy; resetting
+// goes back to the preset.
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+const STORAGE_KEY = 'cube-keymap';
+
+// Keys a preset with prefixes keeps for them: layer depths and wide
+export const PREFIX_KEYS = ['2', '3', '4', '5', '6', '7', 'w'];
+
+// The cstimer / qqtimer two-hand layout: right hand does R, left hand L,
+// index fingers U, middle fingers F, rotations on the outside keys
+const CSTIMER_BINDINGS = {
+  i: 'R', k: "R'",
+  d: 'L', e: "L'",
+  j: 'U', f: "U'",
+  s: 'D', l: "D'",
+  h: 'F', g: "F'",
+  w: 'B', o: "B'",
+  u: 'r', m: "r'",
+  v: 'l', r: "l'",
+  c: 'u', ',': "u'",
+  z: 'd', '/': "d'",
+  5: 'M', 6: 'M', x: "M'", '.': "M'",
+  t: 'x', y: 'x', b: "x'", n: "x'",
+  ';': 'y', a: "y'",
+  p: 'z', q: "z'"
+};
+
+// Each key swapped with its mirror image across the keyboard (I <-> E,
+// J <-> F, ...), so the left hand takes the R side
+const MIRROR_KEYS = {
+  q: 'p', w: 'o', e: 'i', r: 'u', t: 'y',
+  a: ';', s: 'l', d: 'k', f: 'j', g: 'h',
+  z: '/', x: '.', c: ',', v: 'm', b: 'n',
+  5: '6'
+};
+Object.entries({ ...MIRROR_KEYS }).forEach(([key, mirror]) => {
+  MIRROR_KEYS[mirror] = key;
+});
+
+export const KEYMAP_PRESETS = {
+  default: {
+    name: 'Default',
+    shiftPrime: true,
+    prefixes: true,
+    bindings: {
+      r: 'R', l: 'L', u: 'U', d: 'D', f: 'F', b: 'B',
+      m: 'M', e: 'E', s: 'S',
+      x: 'x', y: 'y', z: 'z'
+    }
+  },
+  cstimer: {
+    name: 'cstimer',
+    shiftPrime: false,
+    prefixes: false,
+    bindings: CSTIMER_BINDINGS
+  },
+  lefty: {
+    name: 'cstimer (left-handed)',
+    shiftPrime: false,
+    prefixes: false,
+    bindings: Object.fromEntries(
+      Object.entries(CSTIMER_BINDINGS).map(([key, move]) => [MIRROR_KEYS[key] ?? key, move])
+    )
+  }
+};
+
+// Events: 'change' when the preset or a binding changes
+export class Keymap extends EventEmitter {
+  constructor(storage = globalThis.localStorage) {
+    super();
+    this.storage = storage;
+    this.preset = 'default';
+    this.custom = null; // Remapped bindings, or null to use the preset's
+    this.load();
+  }
+
+  get name() {
+    return KEYMAP_PRESETS[this.preset].name + (this.custom ? ' (custom)' : '');
+  }
+
+  get shiftPrime() {
+    return KEYMAP_PRESETS[this.preset].shiftPrime;
+  }
+
+  get prefixes() {
+    return KEYMAP_PRESETS[this.preset].prefixes;
+  }
+
+  get bindings() {
+    return this.custom ?? KEYMAP_PRESETS[this.preset].bindings;
+  }
+
+  // Move bound to a key, or null
+  getMove(key) {
+    return this.bindings[key] ?? null;
+  }
+
+  // Keys bound to each of the preset's moves, in the preset's order:
+  // [{ move, keys }]. A move that lost its key to remapping has no keys
+  getMoves() {
+    const moves = new Map(Object.values(KEYMAP_PRESETS[this.preset].bindings).map(move => [move, []]));
+    Object.entries(this.bindings).forEach(([key, move]) => {
+      if (!moves.has(move)) moves.set(move, []);
+      moves.get(move).push(key);
+    });
+    return [...moves].map(([move, keys]) => ({ move, keys }));
+  }
+
+  setPreset(preset) {
+    if (!KEYMAP_PRESETS[preset]) {
+      throw new Error(`Unknown keymap "${preset}"`);
+    }
+    this.preset = preset;
+    this.custom = null;
+    this.save();
+  }
+
+  // Make key the only key for move (taking it from any other move)
+  rebind(move, key) {
+    const bindings = Object.fromEntries(
+      Object.entries(this.bindings).filter(([k, m]) => m !== move && k !== key)
+    );
+    bindings[key] = move;
+    this.custom = bindings;
+    this.save();
+  }
+
+  // Back to the preset's own bindings
+  reset() {
+    this.custom = null;
+    this.save();
+  }
+
+  toJSON() {
+    return { preset: this.preset, custom: this.custom };
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+      if (data && KEYMAP_PRESETS[data.preset]) {
+        this.preset = data.preset;
+        this.custom = data.custom && typeof data.custom === 'object' ? data.custom : null;
+      }
+    } catch {
+      // Corrupt or unavailable storage - use the default keys
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch {
+      // Storage full or disabled (e.g. private browsing) - keep in memory
+    }
+
+    this.emit('change', this);
+  }
+}
@@ -0,0 +1,125 @@
+import { KEYMAP_PRESETS, PREFIX_KEYS } from './Keymap.js';
+
+// Key names that don't read well as they are
+const KEY_LABELS = { ' ': 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→' };
+
+// Keys that can't be bound: they already do something, or only modify
+const RESERVED_KEYS = [' ', 'escape', 'tab', 'enter', 'shift', 'control', 'alt', 'meta', 'capslock'];
+
+function keyLabel(key) {
+  return KEY_LABELS[key] ?? key.toUpperCase();
+}
+
+// The keymap UI (markup in index.html): pick a preset, or click a move's
+// keys and press a new key for it
+export class KeymapPanel {
+  constructor(keymap) {
+    this.keymap = keymap;
+    this.capturing = null; // Move waiting for a new key
+
+    this.element = document.getElementById('keymap-panel');
+    this.presetSelect = document.getElementById('keymap-preset');
+    this.bindingsList = document.getElementById('keymap-bindings');
+    this.status = document.getElementById('keymap-status');
+
+    if (this.presetSelect) {
+      this.presetSelect.replaceChildren(...Object.entries(KEYMAP_PRESETS).map(([id, preset]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = preset.name;
+        return option;
+      }));
+
+      this.presetSelect.addEventListener('change', () => {
+        this.keymap.setPreset(this.presetSelect.value);
+        this.presetSelect.blur(); // Don't let move keys change the selection
+      });
+    }
+
+    document.getElementById('keymap-reset-btn')?.addEventListener('click', () => this.keymap.reset());
+    document.getElementById('keymap-close-btn')?.addEventListener('click', () => this.hide());
+
+    // Capture phase on window, so a key pressed to rebind never reaches
+    // the keyboard controls as a move
+    window.addEventListener('keydown', (e) => this.onKeyDown(e), { capture: true });
+
+    this.keymap.on('change', () => this.render());
+    this.render();
+  }
+
+  get isOpen() {
+    return Boolean(this.element && !this.element.classList.contains('hidden'));
+  }
+
+  show() {
+    this.element?.classList.remove('hidden');
+    this.render();
+  }
+
+  hide() {
+    this.capturing = null;
+    this.element?.classList.add('hidden');
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  onKeyDown(e) {
+    if (!this.capturing) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const key = e.key.toLowerCase();
+    const move = this.capturing;
+    this.capturing = null;
+
+    if (key === 'escape') {
+      this.render();
+    } else if (RESERVED_KEYS.includes(key) || (this.keymap.prefixes && PREFIX_KEYS.includes(key))) {
+      this.render(`${keyLabel(key)} can't be used for a move`);
+    } else {
+      this.keymap.rebind(move, key);
+    }
+  }
+
+  render(message = '') {
+    if (this.presetSelect) this.presetSelect.value = this.keymap.preset;
+
+    if (this.status) {
+      if (message) {
+        this.status.textContent = message;
+      } else if (this.capturing) {
+        this.status.textContent = `Press a key for ${this.capturing} (Esc to cancel)`;
+      } else {
+        this.status.textContent = this.keymap.shiftPrime
+          ? `${this.keymap.name} - hold Shift to reverse a move`
+          : this.keymap.name;
+      }
+    }
+
+    if (!this.bindingsList) return;
+    this.bindingsList.replaceChildren(...this.keymap.getMoves().map(({ move, keys }) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = move;
+
+      const button = document.createElement('button');
+      button.className = 'ui-button';
+      button.textContent = this.capturing === move ? '...' : (keys.map(keyLabel).join(' ') || 'none');
+      button.title = `Change the key for ${move}`;
+      button.addEventListener('click', () => {
+        this.capturing = move;
+        button.blur();
+        this.render();
+      });
+
+      item.append(name, button);
+      return item;
+    }));
+  }
+}
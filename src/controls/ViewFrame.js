@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+// Which way the cube's axes point as the viewer sees it, so moves can be
+// read relative to the camera: F is whichever face points most toward the
+// viewer, U the face most up on screen, R the one to their right.
+//
+// A frame maps each notation axis to a cube axis and the end it points
+// along, e.g. after orbiting round to the right side:
+// { x: { axis: 'z', sign: -1 }, y: { axis: 'y', sign: 1 }, z: { axis: 'x', sign: 1 } }
+
+const AXES = ['x', 'y', 'z'];
+
+// Cube axis (and end of it) a vector points most nearly along
+function nearestAxis(vector, exclude = []) {
+  let best = null;
+  AXES.filter(axis => !exclude.includes(axis)).forEach(axis => {
+    if (!best || Math.abs(vector[axis]) > Math.abs(vector[best])) best = axis;
+  });
+  return { axis: best, sign: vector[best] < 0 ? -1 : 1 };
+}
+
+function toVector({ axis, sign }) {
+  const vector = new THREE.Vector3();
+  vector[axis] = sign;
+  return vector;
+}
+
+// Frame for a camera looking at a cube group (which may itself be turned)
+export function getViewFrame(camera, group) {
+  const toGroup = group.getWorldQuaternion(new THREE.Quaternion()).invert();
+
+  const towardViewer = camera.getWorldPosition(new THREE.Vector3())
+    .sub(group.getWorldPosition(new THREE.Vector3()))
+    .applyQuaternion(toGroup);
+  const screenUp = new THREE.Vector3(0, 1, 0)
+    .applyQuaternion(camera.getWorldQuaternion(new THREE.Quaternion()))
+    .applyQuaternion(toGroup);
+
+  const front = nearestAxis(towardViewer);
+  const up = nearestAxis(screenUp, [front.axis]);
+  const right = nearestAxis(new THREE.Vector3().crossVectors(toVector(up), toVector(front)));
+
+  return { x: right, y: up, z: front };
+}
+
+// Re-aim a layer rotation (as from moveToRotation) from the notation's
+// axes onto the cube's, per a frame
+export function toViewRotation({ axis, layers, direction }, frame) {
+  const { axis: cubeAxis, sign } = frame[axis];
+  return {
+    axis: cubeAxis,
+    layers: layers.map(layer => sign * layer),
+    direction: sign * direction
+  };
+}
@@ -1,67 +1,343 @@
 import * as THREE from 'three';
 import gsap from 'gsap';
 import { Cubie } from './Cubie.js';
+import { CubeState } from './CubeState.js';
+import { MoveHistory } from './MoveHistory.js';
+import { toFaceletString, fromFaceletString } from './Facelets.js';
 import { MoveQueue } from '../animation/MoveQueue.js';
 import { SolveDetector } from '../detection/SolveDetector.js';
-
-export class Cube {
-  constructor(scene) {
+import { StageDetector } from '../detection/StageDetector.js';
+import { generateScramble } from '../scramble/Scrambler.js';
+import { parseAlgorithm, moveToRotation } from '../notation/Notation.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { DEFAULT_CUBE_SIZE } from '../utils/constants.js';
+
+// Fastest a move animates when there is a backlog of queued moves
+const MAX_HURRY = 4;
+
+// Events (subscribe with cube.on(name, listener), which returns an
+// unsubscribe function):
+// 'move:start'     { axis, layers, direction, source } as a move starts
+//                  animating. A drag has no direction until it's let go,
+//                  so it's sent on release, as the layer snaps into place
+// 'move:end'       { axis, layers, direction, source } once it's in the state
+// 'face:solved'    { face, color } when a color fills a face
+// 'face:unsolved'  { face, color } when a solved color is broken up again
+// 'cube:solved'    when a move finishes the whole cube
+// 'scramble:start' { seed, moves, text } before the scramble is played
+// 'scramble:end'   { seed, moves, text } once it has been
+// 'pattern:start'  { name, algorithm } before showPattern plays a pattern
+// 'pattern:end'    { name, algorithm } once it has
+// 'reset'          after reset() puts the cube back to solved
+// 'stage:cross', 'stage:pair', 'stage:f2l', 'stage:oll', 'stage:pll'
+//                  as a 3x3 solve reaches each CFOP milestone, with the
+//                  details from StageDetector.check (including a time)
+// Face, cube and stage events aren't sent while scrambling or showing a
+// pattern.
+export class Cube extends EventEmitter {
+  // options.size: layers per side, 2 (2x2) through 7 (7x7)
+  constructor(scene, { size = DEFAULT_CUBE_SIZE } = {}) {
+    super();
     this.scene = scene;
 
     // Container for all cubies
     this.group = new THREE.Group();
 
-    // Array of all 27 cubies
+    // Logical state - the meshes are a projection of this
+    this.state = new CubeState(size);
+
+    // Array of all visible cubies, indexed like state.pieces
     this.cubies = [];
 
     // Move queue for sequential animations
     this.moveQueue = new MoveQueue();
+    this.currentTween = null; // GSAP tween of the move animating now
+    this.manualRotation = null; // Layer being turned by hand, see beginManualRotation
+
+    // Undo/redo of user and solver moves (scramble moves are not recorded)
+    this.history = new MoveHistory();
 
     // Create the cube
     this.createCubies();
 
-    // Solve detection
+    // Solve detection, and CFOP stages of a solve
     this.solveDetector = new SolveDetector(this);
-    this.onFaceSolved = null; // Callback for when a face is solved
-    this.isScrambling = false; // Flag to disable detection during scramble
+    this.stageDetector = new StageDetector(this);
+    this.setupsPlaying = 0; // Scrambles and patterns under way - detection waits for them
+  }
+
+  // Whether a scramble (or pattern) is playing, so solved faces don't count
+  get isScrambling() {
+    return this.setupsPlaying > 0;
   }
 
   createCubies() {
-    // Create 3x3x3 = 27 cubies
-    for (let x = -1; x <= 1; x++) {
-      for (let y = -1; y <= 1; y++) {
-        for (let z = -1; z <= 1; z++) {
-          const cubie = new Cubie(x, y, z);
-          this.cubies.push(cubie);
-          this.group.add(cubie.mesh);
-        }
+    // One cubie per logical piece
+    this.state.pieces.forEach(piece => {
+      const cubie = new Cubie(piece);
+      this.cubies.push(cubie);
+      this.group.add(cubie.mesh);
+    });
+
+    // Keep the same on-screen footprint as a 3x3 whatever the size
+    this.group.scale.setScalar(DEFAULT_CUBE_SIZE / this.state.size);
+  }
+
+  get size() {
+    return this.state.size;
+  }
+
+  // Rebuild as a different size, solved. Queued so pending moves finish first
+  setSize(size) {
+    return this.moveQueue.add(async () => {
+      this.rebuild(new CubeState(size));
+      this.history.clear();
+      this.solveDetector.sync();
+      this.stageDetector.sync();
+    });
+  }
+
+  // Jump straight to another state without animating, e.g. a shared link.
+  // Queued so pending moves finish first. Faces that happen to be solved
+  // in the new state are not announced as unlocks.
+  // options.keepHistory: keep the undo/redo stacks (for going back to a
+  // position they still fit), rather than clearing them
+  setState(state, { keepHistory = false } = {}) {
+    return this.moveQueue.add(async () => {
+      if (state.size === this.state.size) {
+        this.state.copy(state);
+        this.syncMeshes();
+      } else {
+        this.rebuild(state.clone());
       }
-    }
+
+      if (!keepHistory) this.history.clear();
+      this.solveDetector.sync();
+      this.stageDetector.sync();
+    });
+  }
+
+  // Replace every cubie mesh to match a new state
+  rebuild(state) {
+    this.cubies.forEach(cubie => {
+      this.group.remove(cubie.mesh);
+      cubie.dispose();
+    });
+    this.cubies = [];
+
+    this.state = state;
+    this.createCubies();
+  }
+
+  // Current position as a facelet string (see Facelets.js)
+  exportFacelets() {
+    return toFaceletString(this.state);
+  }
+
+  // Load a 3x3 facelet string. Throws right away if the cube is impossible
+  importFacelets(facelets) {
+    return this.setState(fromFaceletString(facelets));
   }
 
   // Get all cubies on a specific layer
   getCubiesOnLayer(axis, layer) {
-    return this.cubies.filter(cubie =>
-      Math.round(cubie[axis]) === layer
-    );
+    return this.state.getPiecesOnLayer(axis, layer).map(piece => this.cubies[piece.id]);
+  }
+
+  // Snap every mesh to its piece in the logical state, stopping any effect
+  // (e.g. an unlock animation) that is still moving it
+  syncMeshes() {
+    this.cubies.forEach(cubie => {
+      gsap.killTweensOf([cubie.mesh.position, cubie.mesh.rotation]);
+      cubie.syncMesh();
+    });
   }
 
-  // Rotate a face
+  // Rotate a single layer
   // axis: 'x', 'y', or 'z'
-  // layer: -1, 0, or 1
-  // direction: 1 (clockwise) or -1 (counter-clockwise)
-  rotate(axis, layer, direction) {
-    return this.moveQueue.add(() => this.executeRotation(axis, layer, direction));
+  // layer: a coordinate from state.layers (-1, 0, or 1 on a 3x3)
+  // direction: 1 or -1 (turn about the positive axis, see CubeState)
+  rotate(axis, layer, direction, options) {
+    return this.rotateLayers(axis, [layer], direction, options);
+  }
+
+  // Rotate several layers as one move (wide moves, whole-cube rotations)
+  // direction may be 2 or -2 for a half turn
+  // options.source: who asked for the move - 'user' and 'solver' moves go
+  // into history, 'scramble', 'undo', 'redo' and 'replay' moves don't
+  // options.speed: animation speed multiplier (2 = twice as fast)
+  // options.instant: apply without animating
+  rotateLayers(axis, layers, direction, { source = 'user', speed = 1, instant = false } = {}) {
+    let historyEntry = null;
+    if (source === 'user' || source === 'solver') {
+      historyEntry = { axis, layers, direction };
+      this.history.push(historyEntry);
+    }
+
+    return this.moveQueue.addMove(
+      { axis, layers, direction, source, speed, instant, historyEntry },
+      (move, backlog) => this.executeRotation(move, backlog)
+    );
+  }
+
+  // Apply one parsed notation move, e.g. parseMove("R'")
+  applyMove(move, options) {
+    const { axis, layers, direction } = moveToRotation(move, this.state.size);
+    return this.rotateLayers(axis, layers, direction, options);
+  }
+
+  // Queue a whole algorithm, e.g. "R U R' U'"
+  // Resolves once every move has finished animating
+  applyAlgorithm(algorithm, options) {
+    const moves = parseAlgorithm(algorithm);
+    return Promise.all(moves.map(move => this.applyMove(move, options)));
+  }
+
+  // Reverse the last user move
+  undo() {
+    const move = this.history.undo();
+    if (!move) return Promise.resolve();
+    return this.rotateLayers(move.axis, move.layers, -move.direction, { source: 'undo' });
+  }
+
+  // Re-apply the last undone move
+  redo() {
+    const move = this.history.redo();
+    if (!move) return Promise.resolve();
+    return this.rotateLayers(move.axis, move.layers, move.direction, { source: 'redo' });
+  }
+
+  // Resolves once every move queued so far has finished
+  whenIdle() {
+    return this.moveQueue.add(async () => {});
+  }
+
+  // Drop queued moves that haven't started (and their history entries),
+  // and jump the one animating now to its end
+  cancelMoves() {
+    this.moveQueue.clear().forEach(move => {
+      if (move.historyEntry) this.history.discard(move.historyEntry);
+    });
+    this.currentTween?.progress(1);
+
+    // A layer held mid-drag goes back where it was
+    if (this.manualRotation) {
+      this.endManualRotation(0, { instant: true });
+    }
   }
 
-  executeRotation(axis, layer, direction) {
+  // Turn layers by hand, following a drag: begin, then setManualRotation
+  // as the pointer moves, then endManualRotation to snap. The move only
+  // reaches the logical state (and history) when it ends on a turn.
+  // Holds the move queue meanwhile. Returns false if the cube is busy.
+  beginManualRotation(axis, layers) {
+    if (this.manualRotation || this.moveQueue.isAnimating || this.moveQueue.length > 0) {
+      return false;
+    }
+
+    const layerCubies = layers.flatMap(layer => this.getCubiesOnLayer(axis, layer));
+    layerCubies.forEach(cubie => {
+      gsap.killTweensOf([cubie.mesh.position, cubie.mesh.rotation]);
+      cubie.syncMesh();
+    });
+
+    const pivot = new THREE.Group();
+    this.group.add(pivot);
+    layerCubies.forEach(cubie => pivot.attach(cubie.mesh));
+
+    const manual = { axis, layers, pivot, layerCubies, angle: 0, release: null };
+    this.manualRotation = manual;
+
+    // Starts straight away since the queue is idle
+    this.moveQueue.add(() => new Promise(resolve => {
+      manual.release = resolve;
+    }));
+    return true;
+  }
+
+  // angle in radians about the positive axis
+  setManualRotation(angle) {
+    if (!this.manualRotation) return;
+    this.manualRotation.angle = angle;
+    this.manualRotation.pivot.rotation[this.manualRotation.axis] = angle;
+  }
+
+  // Snap to a turn of `direction` quarter turns (0 puts the layer back).
+  // Resolves once the snap has animated
+  endManualRotation(direction, { instant = false } = {}) {
+    const manual = this.manualRotation;
+    if (!manual) return Promise.resolve();
+    this.manualRotation = null;
+
+    const { axis, layers, pivot, layerCubies } = manual;
+    const target = (Math.PI / 2) * direction;
+    // Only now is it known to be a move at all (see 'move:start' above)
+    if (direction !== 0) {
+      this.emit('move:start', { axis, layers, direction, source: 'user' });
+    }
+
+    const finish = () => {
+      layerCubies.forEach(cubie => this.group.attach(cubie.mesh));
+      this.group.remove(pivot);
+
+      if (direction === 0) {
+        layerCubies.forEach(cubie => cubie.syncMesh());
+      } else {
+        this.history.push({ axis, layers, direction });
+        this.finishRotation(axis, layers, direction, 'user', layerCubies);
+      }
+      manual.release();
+    };
+
+    if (instant) {
+      finish();
+      return Promise.resolve();
+    }
+
+    // The further it has to go, the longer the snap
+    const remaining = Math.abs(target - manual.angle) / (Math.PI / 2);
+    const rotationTarget = { value: manual.angle };
+
     return new Promise((resolve) => {
-      // Get cubies on this layer
-      const layerCubies = this.getCubiesOnLayer(axis, layer);
+      this.currentTween = gsap.to(rotationTarget, {
+        value: target,
+        duration: Math.max(0.08, 0.25 * remaining),
+        ease: "power2.out",
+        onUpdate: () => {
+          pivot.rotation[axis] = rotationTarget.value;
+        },
+        onComplete: () => {
+          this.currentTween = null;
+          finish();
+          resolve();
+        }
+      });
+    });
+  }
 
-      // Create a temporary pivot group
+  // backlog: moves waiting behind this one - the longer the queue, the
+  // faster each move animates (up to MAX_HURRY times)
+  executeRotation({ axis, layers, direction, source, speed = 1, instant = false }, backlog = 0) {
+    // Get cubies on these layers
+    const layerCubies = layers.flatMap(layer => this.getCubiesOnLayer(axis, layer));
+
+    // Start from the logical state even if an effect has moved them
+    layerCubies.forEach(cubie => {
+      gsap.killTweensOf([cubie.mesh.position, cubie.mesh.rotation]);
+      cubie.syncMesh();
+    });
+
+    this.emit('move:start', { axis, layers, direction, source });
+
+    if (instant) {
+      this.finishRotation(axis, layers, direction, source, layerCubies);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      // Create a temporary pivot group inside the cube's own space
       const pivot = new THREE.Group();
-      this.scene.add(pivot);
+      this.group.add(pivot);
 
       // Attach cubies to pivot (preserves world position)
       layerCubies.forEach(cubie => {
@@ -70,134 +346,137 @@ export class Cube {
 
       // Determine rotation amount
       const angle = (Math.PI / 2) * direction;
+      const hurry = Math.min(1 + backlog / 4, MAX_HURRY);
 
       // Animate the rotation
       const rotationTarget = { value: 0 };
 
-      gsap.to(rotationTarget, {
+      this.currentTween = gsap.to(rotationTarget, {
         value: angle,
-        duration: 0.3,
+        duration: (Math.abs(direction) === 2 ? 0.45 : 0.3) / (speed * hurry),
         ease: "power2.inOut",
         onUpdate: () => {
           pivot.rotation[axis] = rotationTarget.value;
         },
         onComplete: () => {
+          this.currentTween = null;
+
           // Return cubies to main group
           layerCubies.forEach(cubie => {
             this.group.attach(cubie.mesh);
           });
 
-          // Update logical positions
-          this.updatePositionsAfterRotation(layerCubies, axis, direction);
-
           // Clean up pivot
-          this.scene.remove(pivot);
+          this.group.remove(pivot);
 
+          this.finishRotation(axis, layers, direction, source, layerCubies);
           resolve();
         }
       });
     });
   }
 
-  updatePositionsAfterRotation(cubies, axis, direction) {
-    // Update the logical x, y, z positions based on rotation
-    cubies.forEach(cubie => {
-      const oldX = cubie.x;
-      const oldY = cubie.y;
-      const oldZ = cubie.z;
-
-      if (axis === 'x') {
-        cubie.y = direction === 1 ? -oldZ : oldZ;
-        cubie.z = direction === 1 ? oldY : -oldY;
-      } else if (axis === 'y') {
-        cubie.x = direction === 1 ? oldZ : -oldZ;
-        cubie.z = direction === 1 ? -oldX : oldX;
-      } else if (axis === 'z') {
-        cubie.x = direction === 1 ? -oldY : oldY;
-        cubie.y = direction === 1 ? oldX : -oldX;
-      }
-
-      // Round to avoid floating point issues
-      cubie.x = Math.round(cubie.x);
-      cubie.y = Math.round(cubie.y);
-      cubie.z = Math.round(cubie.z);
+  // Update logical state, then snap meshes to it and report the move
+  finishRotation(axis, layers, direction, source, layerCubies) {
+    this.state.applyMove(axis, layers, direction);
+    layerCubies.forEach(cubie => cubie.syncMesh());
 
-      // Update face colors
-      cubie.rotateFaceColors(axis, direction);
-    });
+    this.emit('move:end', { axis, layers, direction, source });
 
-    // Check for solved faces after each move
+    // Check for solve stages and solved faces after each move
+    this.checkStages();
     this.checkSolvedFaces();
   }
 
+  checkStages() {
+    if (this.isScrambling) return;
+
+    this.stageDetector.check().forEach(({ stage, ...details }) => {
+      this.emit(`stage:${stage}`, details);
+    });
+  }
+
   checkSolvedFaces() {
     // Skip detection during scrambling
     if (this.isScrambling) return;
 
-    const newlySolved = this.solveDetector.checkAllFaces();
+    const { solved, unsolved } = this.solveDetector.checkAllFaces();
 
-    for (const face of newlySolved) {
-      if (this.onFaceSolved) {
-        this.onFaceSolved(face);
-      }
+    unsolved.forEach(({ face, color }) => this.emit('face:unsolved', { face, color }));
+    solved.forEach(({ face, color }) => this.emit('face:solved', { face, color }));
+
+    // Only a move that solves some face can finish the cube
+    if (solved.length > 0 && this.solveDetector.isCubeSolved()) {
+      this.emit('cube:solved');
     }
   }
 
   // Reset cube to solved state
   reset() {
-    const offset = 1.05; // CUBIE_SIZE + gap
-
-    this.cubies.forEach(cubie => {
-      // Reset logical position to home
-      cubie.x = cubie.homeX;
-      cubie.y = cubie.homeY;
-      cubie.z = cubie.homeZ;
-
-      // Reset face colors
-      cubie.faceColors = {
-        right:  cubie.homeX === 1 ? 'red' : null,
-        left:   cubie.homeX === -1 ? 'orange' : null,
-        up:     cubie.homeY === 1 ? 'white' : null,
-        down:   cubie.homeY === -1 ? 'yellow' : null,
-        front:  cubie.homeZ === 1 ? 'green' : null,
-        back:   cubie.homeZ === -1 ? 'blue' : null
-      };
-
-      // Reset mesh position and rotation
-      cubie.mesh.position.set(
-        cubie.homeX * offset,
-        cubie.homeY * offset,
-        cubie.homeZ * offset
-      );
-      cubie.mesh.rotation.set(0, 0, 0);
-    });
+    this.cancelMoves();
+    this.state.reset();
+    this.syncMeshes();
+    this.history.clear();
 
     // Reset solve detector state (all faces solved after reset)
-    this.solveDetector.solvedFaces = new Set(['right', 'left', 'up', 'down', 'front', 'back']);
+    this.solveDetector.sync();
+    this.stageDetector.sync();
+    this.emit('reset');
   }
 
-  // Scramble the cube with random moves
-  async scramble(moveCount = 20) {
-    this.isScrambling = true;
-
-    const axes = ['x', 'y', 'z'];
-    const layers = [-1, 0, 1];
-    const directions = [1, -1];
+  // Scramble the cube. options go to generateScramble (Scrambler.js), e.g.
+  // { difficulty: 'easy' }, or { seed } to repeat an earlier scramble;
+  // options.instant skips the animation.
+  // Resolves with the scramble ({ seed, moves, text }) once it has played
+  async scramble({ instant = false, ...options } = {}) {
+    const scramble = generateScramble({ size: this.state.size, ...options });
+    this.setupsPlaying++;
+    this.emit('scramble:start', scramble);
+
+    // Moves from before the scramble can't be meaningfully undone
+    this.history.clear();
+
+    // Queued all at once, so the backlog plays them quickly. Detection
+    // comes back on even if a move fails
+    try {
+      await Promise.all(scramble.moves.map(move => {
+        return this.applyMove(move, { source: 'scramble', instant });
+      }));
+    } finally {
+      this.setupsPlaying--;
+
+      // Faces that happen to be solved after a scramble don't count as unlocks
+      this.solveDetector.sync();
+      this.stageDetector.sync();
+    }
 
-    for (let i = 0; i < moveCount; i++) {
-      const axis = axes[Math.floor(Math.random() * axes.length)];
-      const layer = layers[Math.floor(Math.random() * layers.length)];
-      const direction = directions[Math.floor(Math.random() * directions.length)];
+    this.emit('scramble:end', scramble);
+    return scramble;
+  }
 
-      await this.rotate(axis, layer, direction);
+  // Reset, then play a pattern for show (an algorithm, or { name,
+  // algorithm } as in Patterns.js). Like a scramble, nothing solved along
+  // the way or at the end counts. options.instant skips the animation.
+  // Resolves with the pattern once it has played
+  async showPattern(pattern, { instant = false } = {}) {
+    const shown = typeof pattern === 'string' ? { name: pattern, algorithm: pattern } : pattern;
+    // Throw before resetting if it can't be played on this cube
+    parseAlgorithm(shown.algorithm).forEach(move => moveToRotation(move, this.state.size));
+
+    this.reset();
+    this.setupsPlaying++;
+    this.emit('pattern:start', shown);
+
+    try {
+      await this.applyAlgorithm(shown.algorithm, { source: 'pattern', instant });
+    } finally {
+      this.setupsPlaying--;
+      this.solveDetector.sync();
+      this.stageDetector.sync();
     }
 
-    this.isScrambling = false;
-
-    // Update solve detector to current state (no faces should be solved after scramble)
-    this.solveDetector.solvedFaces.clear();
-    // Re-check to properly initialize which faces happen to be solved
-    this.solveDetector.checkAllFaces();
+    this.emit('pattern:end', shown);
+    return shown;
   }
 
   // Add cube to a Three.js scene
@@ -0,0 +1,314 @@
+import { FACE_COLORS, DEFAULT_CUBE_SIZE, MIN_CUBE_SIZE, MAX_CUBE_SIZE } from '../utils/constants.js';
+
+// Renderer-free model of the puzzle. This is the single source of truth for
+// where every piece is and which way it points; the Three.js meshes in Cube
+// are only a projection of it. Nothing in here touches WebGL or animation
+// timing, so it can run thousands of moves in Node.
+
+// Outward direction of each face
+const FACE_NORMALS = {
+  right: [1, 0, 0],
+  left:  [-1, 0, 0],
+  up:    [0, 1, 0],
+  down:  [0, -1, 0],
+  front: [0, 0, 1],
+  back:  [0, 0, -1]
+};
+
+const AXES = ['x', 'y', 'z'];
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Quarter-turn rotation matrices (row-major). direction 1 is a right-handed
+// +90° turn about the positive axis, matching pivot.rotation[axis] in Cube.
+function quarterTurn(axis, direction) {
+  const d = direction;
+  if (axis === 'x') return [1, 0, 0, 0, 0, -d, 0, d, 0];
+  if (axis === 'y') return [0, 0, d, 0, 1, 0, -d, 0, 0];
+  return [0, -d, 0, d, 0, 0, 0, 0, 1];
+}
+
+function multiply(a, b) {
+  const out = new Array(9);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      out[row * 3 + col] =
+        a[row * 3] * b[col] +
+        a[row * 3 + 1] * b[3 + col] +
+        a[row * 3 + 2] * b[6 + col];
+    }
+  }
+  return out;
+}
+
+function transform(m, [x, y, z]) {
+  return [
+    m[0] * x + m[1] * y + m[2] * z,
+    m[3] * x + m[4] * y + m[5] * z,
+    m[6] * x + m[7] * y + m[8] * z
+  ];
+}
+
+// All 24 orientations a piece can have, identity first
+const ROTATIONS = (() => {
+  const found = [IDENTITY];
+  const key = (m) => m.join(',');
+  const seen = new Set([key(IDENTITY)]);
+
+  for (let i = 0; i < found.length; i++) {
+    for (const axis of AXES) {
+      const next = multiply(quarterTurn(axis, 1), found[i]);
+      if (!seen.has(key(next))) {
+        seen.add(key(next));
+        found.push(next);
+      }
+    }
+  }
+  return found;
+})();
+
+function faceFromVector([x, y, z]) {
+  return Object.keys(FACE_NORMALS).find(face => {
+    const [nx, ny, nz] = FACE_NORMALS[face];
+    return nx === x && ny === y && nz === z;
+  });
+}
+
+export class CubeState {
+  constructor(size = DEFAULT_CUBE_SIZE) {
+    if (!Number.isInteger(size) || size < MIN_CUBE_SIZE || size > MAX_CUBE_SIZE) {
+      throw new Error(`Cube size must be between ${MIN_CUBE_SIZE} and ${MAX_CUBE_SIZE}, got ${size}`);
+    }
+
+    // Layer coordinates along each axis, centered on 0
+    // (-1, 0, 1 for a 3x3; -1.5, -0.5, 0.5, 1.5 for a 4x4)
+    this.layers = Array.from({ length: size }, (_, i) => i - (size - 1) / 2);
+
+    // One entry per cubie, indexed by id
+    this.pieces = [];
+
+    // Whole-cube rotations so far (x, y, z and anything turning every
+    // layer). Only even cubes need it - see getFaceOrientation
+    this.rotation = [...IDENTITY];
+
+    this.createPieces();
+  }
+
+  createPieces() {
+    const outer = this.layers[this.layers.length - 1];
+
+    for (const x of this.layers) {
+      for (const y of this.layers) {
+        for (const z of this.layers) {
+          // Hidden interior pieces never show a sticker
+          if (Math.max(Math.abs(x), Math.abs(y), Math.abs(z)) !== outer) continue;
+
+          const piece = {
+            id: this.pieces.length,
+            homeX: x,
+            homeY: y,
+            homeZ: z,
+            x,
+            y,
+            z,
+            // Maps the piece's home directions to its current directions
+            orientation: [...IDENTITY],
+            faceColors: null
+          };
+          this.updateFaceColors(piece);
+          this.pieces.push(piece);
+        }
+      }
+    }
+  }
+
+  // Colors the piece carries in its home position
+  getHomeColors(piece) {
+    const outer = this.outerLayer;
+    return {
+      right: piece.homeX === outer ? FACE_COLORS.right : null,
+      left:  piece.homeX === -outer ? FACE_COLORS.left : null,
+      up:    piece.homeY === outer ? FACE_COLORS.up : null,
+      down:  piece.homeY === -outer ? FACE_COLORS.down : null,
+      front: piece.homeZ === outer ? FACE_COLORS.front : null,
+      back:  piece.homeZ === -outer ? FACE_COLORS.back : null
+    };
+  }
+
+  // Recompute which color faces which direction from the orientation
+  updateFaceColors(piece) {
+    const homeColors = this.getHomeColors(piece);
+    const faceColors = {
+      right: null, left: null, up: null, down: null, front: null, back: null
+    };
+
+    for (const [homeFace, color] of Object.entries(homeColors)) {
+      if (!color) continue;
+      const face = faceFromVector(transform(piece.orientation, FACE_NORMALS[homeFace]));
+      faceColors[face] = color;
+    }
+
+    piece.faceColors = faceColors;
+  }
+
+  // Layers per side, e.g. 3 for a 3x3
+  get size() {
+    return this.layers.length;
+  }
+
+  // Coordinate of the outermost layer (1 for a 3x3)
+  get outerLayer() {
+    return this.layers[this.layers.length - 1];
+  }
+
+  getPiecesOnLayer(axis, layer) {
+    return this.pieces.filter(piece => piece[axis] === layer);
+  }
+
+  // Rotate one or more layers together
+  // axis: 'x', 'y', or 'z'
+  // layers: a layer coordinate (see this.layers) or an array of them
+  // direction: quarter turns about the positive axis (1, -1, 2 or -2)
+  applyMove(axis, layers, direction) {
+    const targets = Array.isArray(layers) ? layers : [layers];
+    const quarter = quarterTurn(axis, Math.sign(direction));
+    let rotation = quarter;
+    for (let i = 1; i < Math.abs(direction); i++) {
+      rotation = multiply(quarter, rotation);
+    }
+
+    this.pieces.filter(piece => targets.includes(piece[axis])).forEach(piece => {
+      [piece.x, piece.y, piece.z] = transform(rotation, [piece.x, piece.y, piece.z]);
+      piece.orientation = multiply(rotation, piece.orientation);
+      this.updateFaceColors(piece);
+    });
+
+    if (this.layers.every(layer => targets.includes(layer))) {
+      this.rotation = multiply(rotation, this.rotation);
+    }
+
+    return this;
+  }
+
+  // Which color each face stands for right now, e.g. { up: 'white', ... }
+  // on a fresh cube or { up: 'green', ... } after an x rotation.
+  // Odd cubes read it off the center pieces, so slice moves count too.
+  // Even cubes have no fixed centers and follow whole-cube rotations only
+  getFaceOrientation() {
+    const outer = this.outerLayer;
+    const orientation = {};
+
+    for (const [homeFace, normal] of Object.entries(FACE_NORMALS)) {
+      let direction;
+      if (this.size % 2 === 1) {
+        const [hx, hy, hz] = normal.map(n => n * outer);
+        const center = this.pieces.find(p => p.homeX === hx && p.homeY === hy && p.homeZ === hz);
+        direction = [center.x / outer, center.y / outer, center.z / outer];
+      } else {
+        direction = transform(this.rotation, normal);
+      }
+      orientation[faceFromVector(direction)] = FACE_COLORS[homeFace];
+    }
+
+    return orientation;
+  }
+
+  // Move a piece to a position and turn it so it shows the given colors
+  // (a { face: color } map). Returns false if no orientation of the piece
+  // can show them, e.g. a corner with its stickers in mirrored order
+  placePiece(piece, [x, y, z], faceColors) {
+    const homeColors = this.getHomeColors(piece);
+
+    const orientation = ROTATIONS.find(rotation => {
+      return Object.entries(homeColors).every(([homeFace, color]) => {
+        if (!color) return true;
+        const face = faceFromVector(transform(rotation, FACE_NORMALS[homeFace]));
+        return faceColors[face] === color;
+      });
+    });
+
+    if (!orientation) return false;
+
+    Object.assign(piece, { x, y, z, orientation: [...orientation] });
+    this.updateFaceColors(piece);
+    return true;
+  }
+
+  // Colors currently showing on one side of the cube
+  getFaceColors(face) {
+    const normal = FACE_NORMALS[face];
+    const axis = AXES[normal.findIndex(n => n !== 0)];
+    const layer = normal[AXES.indexOf(axis)] * this.outerLayer;
+
+    return this.getPiecesOnLayer(axis, layer).map(piece => piece.faceColors[face]);
+  }
+
+  isSolved() {
+    return Object.keys(FACE_NORMALS).every(face => {
+      const colors = this.getFaceColors(face);
+      return colors.every(color => color === colors[0]);
+    });
+  }
+
+  // Put every piece back in its home position
+  reset() {
+    this.pieces.forEach(piece => {
+      piece.x = piece.homeX;
+      piece.y = piece.homeY;
+      piece.z = piece.homeZ;
+      piece.orientation = [...IDENTITY];
+      this.updateFaceColors(piece);
+    });
+    this.rotation = [...IDENTITY];
+    return this;
+  }
+
+  // Copy another state into this one, keeping piece objects intact so
+  // anything holding a reference to them (e.g. Cubie) stays linked
+  copy(other) {
+    other.pieces.forEach((source, i) => {
+      const piece = this.pieces[i];
+      piece.x = source.x;
+      piece.y = source.y;
+      piece.z = source.z;
+      piece.orientation = [...source.orientation];
+      this.updateFaceColors(piece);
+    });
+    this.rotation = [...other.rotation];
+    return this;
+  }
+
+  clone() {
+    return new CubeState(this.size).copy(this);
+  }
+
+  // Exact piece-for-piece comparison (see isSolved for a color check)
+  equals(other) {
+    if (other.size !== this.size) return false;
+    return this.pieces.every((piece, i) => {
+      const o = other.pieces[i];
+      return piece.x === o.x && piece.y === o.y && piece.z === o.z &&
+        piece.orientation.every((v, j) => v === o.orientation[j]);
+    });
+  }
+
+  // Plain-object form for JSON.stringify
+  toJSON() {
+    return {
+      size: this.size,
+      pieces: this.pieces.map(piece => [piece.x, piece.y, piece.z, ...piece.orientation]),
+      rotation: this.rotation
+    };
+  }
+
+  static fromJSON(data) {
+    const state = new CubeState(data.size);
+    data.pieces.forEach(([x, y, z, ...orientation], i) => {
+      const piece = state.pieces[i];
+      Object.assign(piece, { x, y, z, orientation });
+      state.updateFaceColors(piece);
+    });
+    if (data.rotation) state.rotation = [...data.rotation];
+    return state;
+  }
+}
@@ -1,93 +1,59 @@
 import * as THREE from 'three';
 import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
-import { CUBIE_SIZE, COLORS } from '../utils/constants.js';
+import { CUBIE_SIZE, CUBIE_GAP, COLORS } from '../utils/constants.js';
 
 export class Cubie {
-  constructor(x, y, z) {
-    // Logical position (-1, 0, or 1 on each axis)
-    this.x = x;
-    this.y = y;
-    this.z = z;
-
-    // Store home position for reset
-    this.homeX = x;
-    this.homeY = y;
-    this.homeZ = z;
-
-    // Track which color is on which face of THIS cubie
-    // Key = face direction, Value = color name
-    this.faceColors = this.initializeFaceColors();
+  constructor(piece) {
+    // Logical piece in CubeState this cubie renders
+    this.piece = piece;
 
     // Create the mesh
     this.mesh = this.createMesh();
 
     // Position the mesh in 3D space
-    const offset = CUBIE_SIZE + 0.05; // size + gap
-    this.mesh.position.set(
-      x * offset,
-      y * offset,
-      z * offset
-    );
+    this.syncMesh();
   }
 
-  initializeFaceColors() {
-    // Set initial colors based on starting position
-    return {
-      right:  this.x === 1 ? 'red' : null,
-      left:   this.x === -1 ? 'orange' : null,
-      up:     this.y === 1 ? 'white' : null,
-      down:   this.y === -1 ? 'yellow' : null,
-      front:  this.z === 1 ? 'green' : null,
-      back:   this.z === -1 ? 'blue' : null
-    };
-  }
+  // Logical position (see CubeState.layers)
+  get x() { return this.piece.x; }
+  get y() { return this.piece.y; }
+  get z() { return this.piece.z; }
+
+  // Home position for reset
+  get homeX() { return this.piece.homeX; }
+  get homeY() { return this.piece.homeY; }
+  get homeZ() { return this.piece.homeZ; }
+
+  // Which color is on which face of THIS cubie
+  // Key = face direction, Value = color name
+  get faceColors() { return this.piece.faceColors; }
 
   // Get the color showing on a particular side of the CUBE (not the cubie)
   getColorOnFace(face) {
     return this.faceColors[face];
   }
 
-  // After rotation, update which of the cubie's colors face which direction
-  rotateFaceColors(axis, direction) {
-    const old = { ...this.faceColors };
+  // Snap the mesh to the piece's logical position and orientation
+  syncMesh() {
+    this.mesh.position.copy(this.getRestPosition());
+    this.mesh.quaternion.copy(this.getRestQuaternion());
+  }
+
+  // Where the mesh belongs (in the cube group's space) per the logical state
+  getRestPosition() {
+    const offset = CUBIE_SIZE + CUBIE_GAP;
+    return new THREE.Vector3(this.x * offset, this.y * offset, this.z * offset);
+  }
 
-    if (axis === 'x') {
-      if (direction === 1) {
-        this.faceColors.up = old.front;
-        this.faceColors.front = old.down;
-        this.faceColors.down = old.back;
-        this.faceColors.back = old.up;
-      } else {
-        this.faceColors.up = old.back;
-        this.faceColors.back = old.down;
-        this.faceColors.down = old.front;
-        this.faceColors.front = old.up;
-      }
-    } else if (axis === 'y') {
-      if (direction === 1) {
-        this.faceColors.front = old.right;
-        this.faceColors.right = old.back;
-        this.faceColors.back = old.left;
-        this.faceColors.left = old.front;
-      } else {
-        this.faceColors.front = old.left;
-        this.faceColors.left = old.back;
-        this.faceColors.back = old.right;
-        this.faceColors.right = old.front;
-      }
-    } else if (axis === 'z') {
-      if (direction === 1) {
-        this.faceColors.up = old.left;
-        this.faceColors.left = old.down;
-        this.faceColors.down = old.right;
-        this.faceColors.right = old.up;
-      } else {
-        this.faceColors.up = old.right;
-        this.faceColors.right = old.down;
-        this.faceColors.down = old.left;
-        this.faceColors.left = old.up;
-      }
-    }
+  getRestQuaternion() {
+    const m = this.piece.orientation;
+    const rotation = new THREE.Matrix4().set(
+      m[0], m[1], m[2], 0,
+      m[3], m[4], m[5], 0,
+      m[6], m[7], m[8], 0,
+      0, 0, 0, 1
+    );
+    return new THREE.Quaternion().setFromRotationMatrix(rotation);
   }
 
   createMesh() {
@@ -113,6 +79,12 @@ export class Cubie {
     return new THREE.Mesh(geometry, materials);
   }
 
+  // Free GPU resources when the cube is rebuilt
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.mesh.material.forEach(mat => mat.dispose());
+  }
+
   createFaceMaterial(colorName) {
     const color = colorName ? COLORS[colorName] : 0x111111;
     return new THREE.MeshPhysicalMaterial({
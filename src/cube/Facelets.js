@@ -0,0 +1,226 @@
+import { CubeState } from './CubeState.js';
+import { FACE_COLORS } from '../utils/constants.js';
+
+// Facelet strings, the format Kociemba-style solvers use: every sticker as a
+// face letter, face by face in U R F D L B order, each face read left to
+// right, top to bottom as you look at it (U with B at the top, D with F at
+// the top, the side faces with U at the top).
+// A solved 3x3 is "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB".
+//
+// Letters name colors by the face they start on (U = white, R = red, ...).
+
+export const FACE_ORDER = ['up', 'right', 'front', 'down', 'left', 'back'];
+const LETTERS = 'URFDLB';
+
+export const COLOR_TO_LETTER = Object.fromEntries(
+  FACE_ORDER.map((face, i) => [FACE_COLORS[face], LETTERS[i]])
+);
+const LETTER_TO_COLOR = Object.fromEntries(
+  FACE_ORDER.map((face, i) => [LETTERS[i], FACE_COLORS[face]])
+);
+
+// Where a sticker sits in cube coordinates
+function stickerPosition(face, row, col, outer) {
+  switch (face) {
+    case 'up':    return [-outer + col, outer, -outer + row];
+    case 'right': return [outer, outer - row, outer - col];
+    case 'front': return [-outer + col, outer - row, outer];
+    case 'down':  return [-outer + col, -outer, outer - row];
+    case 'left':  return [-outer, outer - row, -outer + col];
+    case 'back':  return [outer - col, outer - row, -outer];
+  }
+}
+
+// Facelet indices of each corner and edge slot, in Kociemba's order
+// Corners: URF UFL ULB UBR DFR DLF DBL DRB
+// Edges:   UR UF UL UB DR DF DL DB FR FL BL BR
+export const CORNER_FACELETS = [
+  [8, 9, 20], [6, 18, 38], [0, 36, 47], [2, 45, 11],
+  [29, 26, 15], [27, 44, 24], [33, 53, 42], [35, 17, 51]
+];
+const CORNER_COLORS = [
+  'URF', 'UFL', 'ULB', 'UBR', 'DFR', 'DLF', 'DBL', 'DRB'
+];
+export const EDGE_FACELETS = [
+  [5, 10], [7, 19], [3, 37], [1, 46], [32, 16], [28, 25],
+  [30, 43], [34, 52], [23, 12], [21, 41], [50, 39], [48, 14]
+];
+const EDGE_COLORS = [
+  'UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'
+];
+
+const CENTER_FACELETS = [4, 13, 22, 31, 40, 49];
+
+function permutationParity(perm) {
+  let parity = 0;
+  for (let i = 0; i < perm.length; i++) {
+    for (let j = i + 1; j < perm.length; j++) {
+      if (perm[i] > perm[j]) parity ^= 1;
+    }
+  }
+  return parity;
+}
+
+// Read any size of cube out as a facelet string (6 * size * size letters)
+export function toFaceletString(state) {
+  const outer = state.outerLayer;
+  const byPosition = new Map(state.pieces.map(p => [`${p.x},${p.y},${p.z}`, p]));
+  let facelets = '';
+
+  for (const face of FACE_ORDER) {
+    for (let row = 0; row < state.size; row++) {
+      for (let col = 0; col < state.size; col++) {
+        const piece = byPosition.get(stickerPosition(face, row, col, outer).join(','));
+        facelets += COLOR_TO_LETTER[piece.faceColors[face]];
+      }
+    }
+  }
+
+  return facelets;
+}
+
+// Check that a 3x3 facelet string is a reachable cube and describe it as
+// pieces: cp/ep say which corner/edge sits in each slot, co/eo how it is
+// twisted or flipped. Letters are taken relative to the centers, so a cube
+// turned with slice moves or rotations is fine. Throws if impossible.
+export function faceletsToCubies(facelets) {
+  if (typeof facelets !== 'string' || !/^[URFDLB]{54}$/.test(facelets)) {
+    throw new Error('A facelet string must be 54 letters, each one of U, R, F, D, L, B');
+  }
+
+  for (const letter of LETTERS) {
+    const count = facelets.split(letter).length - 1;
+    if (count !== 9) {
+      throw new Error(`Expected 9 ${letter} stickers, found ${count}`);
+    }
+  }
+
+  // Relabel each sticker by the face whose center has its color
+  const centers = CENTER_FACELETS.map(i => facelets[i]);
+  if (new Set(centers).size !== 6) {
+    throw new Error('Every face needs a different center color');
+  }
+  const relabel = Object.fromEntries(centers.map((letter, i) => [letter, LETTERS[i]]));
+  const f = [...facelets].map(letter => relabel[letter]);
+
+  const cp = [];
+  const co = [];
+  for (let i = 0; i < 8; i++) {
+    const stickers = CORNER_FACELETS[i].map(index => f[index]);
+    const ori = stickers.findIndex(letter => letter === 'U' || letter === 'D');
+    const j = ori === -1 ? -1 : CORNER_COLORS.findIndex(colors =>
+      colors[0] === stickers[ori] &&
+      colors[1] === stickers[(ori + 1) % 3] &&
+      colors[2] === stickers[(ori + 2) % 3]
+    );
+    if (j === -1) {
+      throw new Error(`No corner has the colors ${stickers.join('')}`);
+    }
+    cp.push(j);
+    co.push(ori);
+  }
+
+  const ep = [];
+  const eo = [];
+  for (let i = 0; i < 12; i++) {
+    const [a, b] = EDGE_FACELETS[i].map(index => f[index]);
+    const j = EDGE_COLORS.findIndex(colors =>
+      (colors[0] === a && colors[1] === b) || (colors[0] === b && colors[1] === a)
+    );
+    if (j === -1) {
+      throw new Error(`No edge has the colors ${a}${b}`);
+    }
+    ep.push(j);
+    eo.push(EDGE_COLORS[j][0] === a ? 0 : 1);
+  }
+
+  if (new Set(cp).size !== 8) {
+    throw new Error('A corner piece appears more than once');
+  }
+  if (new Set(ep).size !== 12) {
+    throw new Error('An edge piece appears more than once');
+  }
+  if (co.reduce((sum, o) => sum + o, 0) % 3 !== 0) {
+    throw new Error('Corner twist is impossible (one corner is twisted in place)');
+  }
+  if (eo.reduce((sum, o) => sum + o, 0) % 2 !== 0) {
+    throw new Error('Edge orientation is impossible (one edge is flipped in place)');
+  }
+  if (permutationParity(cp) !== permutationParity(ep)) {
+    throw new Error('Permutation parity is impossible (two pieces are swapped)');
+  }
+
+  return { cp, co, ep, eo };
+}
+
+// Build a CubeState from a 3x3 facelet string, rejecting impossible cubes
+export function fromFaceletString(facelets) {
+  faceletsToCubies(facelets);
+
+  const state = new CubeState(3);
+  const outer = state.outerLayer;
+
+  // Gather the stickers showing at every position
+  const positions = new Map();
+  FACE_ORDER.forEach((face, f) => {
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        const position = stickerPosition(face, row, col, outer);
+        const key = position.join(',');
+        if (!positions.has(key)) positions.set(key, { position, colors: {} });
+        positions.get(key).colors[face] = LETTER_TO_COLOR[facelets[f * 9 + row * 3 + col]];
+      }
+    }
+  });
+
+  // Put the piece with matching colors at each position
+  const unplaced = new Set(state.pieces);
+  for (const { position, colors } of positions.values()) {
+    const wanted = Object.values(colors).sort().join();
+    const piece = [...unplaced].find(p =>
+      Object.values(state.getHomeColors(p)).filter(Boolean).sort().join() === wanted
+    );
+
+    if (!piece || !state.placePiece(piece, position, colors)) {
+      throw new Error(`No piece can show ${Object.values(colors).join('/')} at ${position.join(', ')}`);
+    }
+    unplaced.delete(piece);
+  }
+
+  return state;
+}
+
+// Compact URL-safe form of a 3x3 state: the facelets as one base-36 number
+export function encodeStateHash(state) {
+  if (state.size !== 3) {
+    throw new Error('Only 3x3 cubes can be shared');
+  }
+
+  let value = 0n;
+  for (const letter of toFaceletString(state)) {
+    value = value * 6n + BigInt(LETTERS.indexOf(letter));
+  }
+  return value.toString(36);
+}
+
+export function decodeStateHash(code) {
+  if (!/^[0-9a-z]+$/.test(code)) {
+    throw new Error('Shared state code can only contain 0-9 and a-z');
+  }
+
+  let value = 0n;
+  for (const char of code) {
+    value = value * 36n + BigInt(parseInt(char, 36));
+  }
+
+  let facelets = '';
+  for (let i = 0; i < 54; i++) {
+    facelets = LETTERS[Number(value % 6n)] + facelets;
+    value /= 6n;
+  }
+  if (value !== 0n) {
+    throw new Error('Shared state code is too long');
+  }
+
+  return fromFaceletString(facelets);
+}
@@ -0,0 +1,79 @@
+// Undo/redo stacks for user moves
+// Each entry is a layer rotation { axis, layers, direction } as passed to
+// Cube.rotateLayers, so undoing is just the same layers with -direction
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Events: 'change' when undo/redo availability changes
+export class MoveHistory extends EventEmitter {
+  constructor() {
+    super();
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Record a new move (a fresh move invalidates anything to redo)
+  push(move) {
+    this.undoStack.push(move);
+    this.redoStack = [];
+    this.notify();
+  }
+
+  // Returns the move to reverse, or null if there is nothing to undo
+  undo() {
+    const move = this.undoStack.pop();
+    if (!move) return null;
+
+    this.redoStack.push(move);
+    this.notify();
+    return move;
+  }
+
+  // Returns the move to apply again, or null if there is nothing to redo
+  redo() {
+    const move = this.redoStack.pop();
+    if (!move) return null;
+
+    this.undoStack.push(move);
+    this.notify();
+    return move;
+  }
+
+  // Forget a recorded move that never happened (e.g. dropped from the queue)
+  discard(move) {
+    const index = this.undoStack.lastIndexOf(move);
+    if (index === -1) return;
+
+    this.undoStack.splice(index, 1);
+    this.notify();
+  }
+
+  // Both stacks as they are now, to put back later with restore()
+  snapshot() {
+    return { undo: [...this.undoStack], redo: [...this.redoStack] };
+  }
+
+  restore({ undo, redo }) {
+    this.undoStack = [...undo];
+    this.redoStack = [...redo];
+    this.notify();
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  notify() {
+    this.emit('change', this);
+  }
+}
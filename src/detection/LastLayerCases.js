@@ -0,0 +1,90 @@
+// CFOP last-layer cases, numbered and named the usual way (as on the
+// speedsolving.com wiki). Each algorithm solves its case with the last
+// layer on top and the cross on the bottom, seen from the front; the case
+// itself is what applying the inverse algorithm to a solved cube gives.
+
+// Orientation of the last layer: 57 cases
+export const OLL_CASES = [
+  { id: '1', algorithm: "R U2 R2 F R F' U2 R' F R F'" },
+  { id: '2', algorithm: "F R U R' U' F' f R U R' U' f'" },
+  { id: '3', algorithm: "f R U R' U' f' U' F R U R' U' F'" },
+  { id: '4', algorithm: "f R U R' U' f' U F R U R' U' F'" },
+  { id: '5', algorithm: "r' U2 R U R' U r" },
+  { id: '6', algorithm: "r U2 R' U' R U' r'" },
+  { id: '7', algorithm: "r U R' U R U2 r'" },
+  { id: '8', algorithm: "l' U' L U' L' U2 l" },
+  { id: '9', algorithm: "R U R' U' R' F R2 U R' U' F'" },
+  { id: '10', algorithm: "R U R' U R' F R F' R U2 R'" },
+  { id: '11', algorithm: "r U R' U R' F R F' R U2 r'" },
+  { id: '12', algorithm: "M' R' U' R U' R' U2 R U' R r'" },
+  { id: '13', algorithm: "F U R U' R2 F' R U R U' R'" },
+  { id: '14', algorithm: "R' F R U R' F' R F U' F'" },
+  { id: '15', algorithm: "r' U' r R' U' R U r' U r" },
+  { id: '16', algorithm: "r U r' R U R' U' r U' r'" },
+  { id: '17', algorithm: "F R' F' R2 r' U R U' R' U' M'" },
+  { id: '18', algorithm: "r U R' U R U2 r2 U' R U' R' U2 r" },
+  { id: '19', algorithm: "r' R U R U R' U' M' R' F R F'" },
+  { id: '20', algorithm: "r U R' U' M2 U R U' R' U' M'" },
+  { id: '21', algorithm: "R U2 R' U' R U R' U' R U' R'" },
+  { id: '22', algorithm: "R U2 R2 U' R2 U' R2 U2 R" },
+  { id: '23', algorithm: "R2 D' R U2 R' D R U2 R" },
+  { id: '24', algorithm: "r U R' U' r' F R F'" },
+  { id: '25', algorithm: "F' r U R' U' r' F R" },
+  { id: '26', algorithm: "R U2 R' U' R U' R'" },
+  { id: '27', algorithm: "R U R' U R U2 R'" },
+  { id: '28', algorithm: "r U R' U' r' R U R U' R'" },
+  { id: '29', algorithm: "R U R' U' R U' R' F' U' F R U R'" },
+  { id: '30', algorithm: "F R' F R2 U' R' U' R U R' F2" },
+  { id: '31', algorithm: "R' U' F U R U' R' F' R" },
+  { id: '32', algorithm: "L U F' U' L' U L F L'" },
+  { id: '33', algorithm: "R U R' U' R' F R F'" },
+  { id: '34', algorithm: "R U R2 U' R' F R U R U' F'" },
+  { id: '35', algorithm: "R U2 R2 F R F' R U2 R'" },
+  { id: '36', algorithm: "L' U' L U' L' U L U L F' L' F" },
+  { id: '37', algorithm: "F R' F' R U R U' R'" },
+  { id: '38', algorithm: "R U R' U R U' R' U' R' F R F'" },
+  { id: '39', algorithm: "L F' L' U' L U F U' L'" },
+  { id: '40', algorithm: "R' F R U R' U' F' U R" },
+  { id: '41', algorithm: "R U R' U R U2 R' F R U R' U' F'" },
+  { id: '42', algorithm: "R' U' R U' R' U2 R F R U R' U' F'" },
+  { id: '43', algorithm: "F' U' L' U L F" },
+  { id: '44', algorithm: "F U R U' R' F'" },
+  { id: '45', algorithm: "F R U R' U' F'" },
+  { id: '46', algorithm: "R' U' R' F R F' U R" },
+  { id: '47', algorithm: "R' U' R' F R F' R' F R F' U R" },
+  { id: '48', algorithm: "F R U R' U' R U R' U' F'" },
+  { id: '49', algorithm: "r U' r2 U r2 U r2 U' r" },
+  { id: '50', algorithm: "r' U r2 U' r2 U' r2 U r'" },
+  { id: '51', algorithm: "F U R U' R' U R U' R' F'" },
+  { id: '52', algorithm: "R U R' U R U' B U' B' R'" },
+  { id: '53', algorithm: "l' U2 L U L' U' L U L' U l" },
+  { id: '54', algorithm: "r U2 R' U' R U R' U' R U' r'" },
+  { id: '55', algorithm: "R' F R U R U' R2 F' R2 U' R' U R U R'" },
+  { id: '56', algorithm: "r' U' r U' R' U R U' R' U R r' U r" },
+  { id: '57', algorithm: "R U R' U' M' U R U' r'" }
+].map(oll => ({ ...oll, name: `OLL ${oll.id}` }));
+
+// Permutation of the last layer: 21 cases
+export const PLL_CASES = [
+  { id: 'Aa', algorithm: "x R' U R' D2 R U' R' D2 R2 x'" },
+  { id: 'Ab', algorithm: "x R2 D2 R U R' D2 R U' R x'" },
+  { id: 'E', algorithm: "x' R U' R' D R U R' D' R U R' D R U' R' D' x" },
+  { id: 'F', algorithm: "R' U' F' R U R' U' R' F R2 U' R' U' R U R' U R" },
+  { id: 'Ga', algorithm: "R2 U R' U R' U' R U' R2 U' D R' U R D'" },
+  { id: 'Gb', algorithm: "R' U' R U D' R2 U R' U R U' R U' R2 D" },
+  { id: 'Gc', algorithm: "R2 U' R U' R U R' U R2 U D' R U' R' D" },
+  { id: 'Gd', algorithm: "R U R' U' D R2 U' R U' R' U R' U R2 D'" },
+  { id: 'H', algorithm: "M2 U M2 U2 M2 U M2" },
+  { id: 'Ja', algorithm: "x R2 F R F' R U2 r' U r U2 x'" },
+  { id: 'Jb', algorithm: "R U R' F' R U R' U' R' F R2 U' R'" },
+  { id: 'Na', algorithm: "R U R' U R U R' F' R U R' U' R' F R2 U' R' U2 R U' R'" },
+  { id: 'Nb', algorithm: "R' U R U' R' F' U' F R U R' F R' F' R U' R" },
+  { id: 'Ra', algorithm: "R U' R' U' R U R D R' U' R D' R' U2 R'" },
+  { id: 'Rb', algorithm: "R2 F R U R U' R' F' R U2 R' U2 R" },
+  { id: 'T', algorithm: "R U R' U' R' F R2 U' R' U' R U R' F'" },
+  { id: 'Ua', algorithm: "M2 U M U2 M' U M2" },
+  { id: 'Ub', algorithm: "M2 U' M U2 M' U' M2" },
+  { id: 'V', algorithm: "R' U R' U' y R' F' R2 U' R' U R' F R F" },
+  { id: 'Y', algorithm: "F R U' R' U' R U R' F' R U R' U' R' F R F'" },
+  { id: 'Z', algorithm: "M' U M2 U M2 U M' U2 M2" }
+].map(pll => ({ ...pll, name: `${pll.id} perm` }));
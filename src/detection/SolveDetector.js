@@ -1,82 +1,90 @@
+import { FACES } from '../utils/constants.js';
+
+// Reads only cube.state, so it works on a headless { state: CubeState } too.
+// Solved faces are tracked by color, not position: slice moves and cube
+// rotations carry a solved face somewhere else without re-solving it, and
+// the color is what decides which section unlocks.
 export class SolveDetector {
   constructor(cube) {
     this.cube = cube;
-    // Initialize with all faces solved (cube starts in solved state)
-    this.solvedFaces = new Set(['right', 'left', 'up', 'down', 'front', 'back']);
+    // Color of every solved face -> the face it is on
+    this.solvedColors = new Map();
+    this.sync();
   }
 
-  // Check all faces and return newly solved ones
-  checkAllFaces() {
-    const faces = ['right', 'left', 'up', 'down', 'front', 'back'];
-    const newlySolved = [];
+  // Take whatever is solved now as the baseline, without reporting it
+  // (after a reset, scramble or jump to another state)
+  sync() {
+    this.solvedColors = this.getSolvedColors();
+  }
 
-    for (const face of faces) {
-      const isSolved = this.isFaceSolved(face);
-      const wasSolved = this.solvedFaces.has(face);
+  // Check all faces against the last check. Returns the colors that have
+  // become solved and the ones that no longer are:
+  // { solved: [{ face, color }], unsolved: [{ face, color }] }
+  checkAllFaces() {
+    const current = this.getSolvedColors();
+    const solved = [];
+    const unsolved = [];
 
-      if (isSolved && !wasSolved) {
-        this.solvedFaces.add(face);
-        newlySolved.push(face);
-      } else if (!isSolved && wasSolved) {
-        this.solvedFaces.delete(face);
+    for (const [color, face] of current) {
+      if (!this.solvedColors.has(color)) {
+        solved.push({ face, color });
+      }
+    }
+    // Reported on the face where it was last solved
+    for (const [color, face] of this.solvedColors) {
+      if (!current.has(color)) {
+        unsolved.push({ face, color });
       }
     }
 
-    return newlySolved;
+    this.solvedColors = current;
+    return { solved, unsolved };
   }
 
-  isFaceSolved(face) {
-    const cubiesOnFace = this.getCubiesOnFace(face);
+  // Map of color -> face for every face that is one color right now
+  getSolvedColors() {
+    const solved = new Map();
+    for (const face of Object.keys(FACES)) {
+      const color = this.getSolvedColor(face);
+      if (color) solved.set(color, face);
+    }
+    return solved;
+  }
 
-    if (cubiesOnFace.length !== 9) return false;
+  // Every face a single color
+  isCubeSolved() {
+    return this.getSolvedColors().size === 6;
+  }
+
+  // The color filling a face, or null if it isn't solved
+  getSolvedColor(face) {
+    return this.isFaceSolved(face) ? this.getPiecesOnFace(face)[0].faceColors[face] : null;
+  }
+
+  isFaceSolved(face) {
+    const { size } = this.cube.state;
+    const piecesOnFace = this.getPiecesOnFace(face);
 
-    // Get the color of the center cubie (which never changes position)
-    const centerCubie = cubiesOnFace.find(c => this.isCenter(c, face));
-    if (!centerCubie) return false;
+    if (piecesOnFace.length !== size * size) return false;
 
-    const centerColor = centerCubie.getColorOnFace(face);
-    if (!centerColor) return false;
+    // Even cubes have no fixed center, so compare against any sticker
+    const faceColor = piecesOnFace[0].faceColors[face];
+    if (!faceColor) return false;
 
-    // Check if all 9 cubies show the same color on this face
-    return cubiesOnFace.every(cubie => {
-      return cubie.getColorOnFace(face) === centerColor;
+    // Check if every piece shows the same color on this face
+    return piecesOnFace.every(piece => {
+      return piece.faceColors[face] === faceColor;
     });
   }
 
-  getCubiesOnFace(face) {
+  getPiecesOnFace(face) {
     const { axis, layer } = this.faceToAxisLayer(face);
-    return this.cube.cubies.filter(c => Math.round(c[axis]) === layer);
-  }
-
-  isCenter(cubie, face) {
-    const { axis } = this.faceToAxisLayer(face);
-    // Center piece has 0 on the other two axes
-    const otherAxes = ['x', 'y', 'z'].filter(a => a !== axis);
-    return otherAxes.every(a => cubie[a] === 0);
+    return this.cube.state.getPiecesOnLayer(axis, layer);
   }
 
   faceToAxisLayer(face) {
-    const mapping = {
-      right: { axis: 'x', layer: 1 },
-      left: { axis: 'x', layer: -1 },
-      up: { axis: 'y', layer: 1 },
-      down: { axis: 'y', layer: -1 },
-      front: { axis: 'z', layer: 1 },
-      back: { axis: 'z', layer: -1 }
-    };
-    return mapping[face];
-  }
-
-  getFaceColor(face) {
-    // Return the expected color for each face
-    const colors = {
-      right: 'red',
-      left: 'orange',
-      up: 'white',
-      down: 'yellow',
-      front: 'green',
-      back: 'blue'
-    };
-    return colors[face];
+    const { axis, direction } = FACES[face];
+    return { axis, layer: direction * this.cube.state.outerLayer };
   }
 }
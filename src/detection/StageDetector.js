@@ -0,0 +1,256 @@
+import { FACES } from '../utils/constants.js';
+import { parseAlgorithm, moveToRotation } from '../notation/Notation.js';
+import { OLL_CASES, PLL_CASES } from './LastLayerCases.js';
+
+// CFOP milestones on a 3x3, read from the logical state only (like
+// SolveDetector): the cross, each F2L pair, the whole first two layers,
+// last-layer orientation (OLL) and permutation (PLL). The cross can be on
+// any color; whichever comes first is the one the rest of the solve is
+// measured against. Everything is judged against the centers, so slice
+// moves and cube rotations are fine.
+
+const FACE_NAMES = Object.keys(FACES);
+
+// Faces next to each face, and the one across from it
+const SIDES = Object.fromEntries(FACE_NAMES.map(face => [
+  face,
+  FACE_NAMES.filter(other => FACES[other].axis !== FACES[face].axis)
+]));
+const OPPOSITE = Object.fromEntries(FACE_NAMES.map(face => [
+  face,
+  FACE_NAMES.find(other => other !== face && FACES[other].axis === FACES[face].axis)
+]));
+
+// F2L slots round each face: pairs of its sides that meet, e.g.
+// ['right', 'front']
+const SLOTS = Object.fromEntries(FACE_NAMES.map(face => {
+  const sides = SIDES[face];
+  const slots = [];
+  sides.forEach((a, i) => sides.slice(i + 1).forEach(b => {
+    if (FACES[a].axis !== FACES[b].axis) slots.push([a, b]);
+  }));
+  return [face, slots];
+}));
+
+// Cube rotation that takes each face to the bottom, for looking at the
+// last layer the way the case algorithms expect
+const TO_BOTTOM = { down: '', up: 'x2', front: "x'", back: 'x', right: 'z', left: "z'" };
+
+// Ways to turn the last layer before (or after) an algorithm
+const AUFS = ['', 'U', 'U2', "U'"];
+
+const parsed = new Map();
+
+// Apply an algorithm (notation string) straight to a CubeState
+export function applyAlgorithm(state, algorithm) {
+  if (!parsed.has(algorithm)) parsed.set(algorithm, parseAlgorithm(algorithm));
+
+  parsed.get(algorithm).forEach(move => {
+    const { axis, layers, direction } = moveToRotation(move, state.size);
+    state.applyMove(axis, layers, direction);
+  });
+  return state;
+}
+
+// The piece touching exactly the given faces (an edge for two faces, a
+// corner for three)
+function pieceAt(state, faces) {
+  const position = { x: 0, y: 0, z: 0 };
+  faces.forEach(face => {
+    position[FACES[face].axis] = FACES[face].direction * state.outerLayer;
+  });
+  return state.pieces.find(piece => {
+    return piece.x === position.x && piece.y === position.y && piece.z === position.z;
+  });
+}
+
+// A piece sits solved when each of its stickers on these faces matches
+// that face's center
+function isPieceSolved(state, faces, centers) {
+  const piece = pieceAt(state, faces);
+  return faces.every(face => piece.faceColors[face] === centers[face]);
+}
+
+export function isCrossSolved(state, face, centers = state.getFaceOrientation()) {
+  return SIDES[face].every(side => isPieceSolved(state, [face, side], centers));
+}
+
+// Slots round the cross face whose corner and edge are both home, named
+// by the colors of their centers (e.g. 'green-red') so a cube rotation
+// doesn't rename them
+export function getSolvedPairs(state, face, centers = state.getFaceOrientation()) {
+  return SLOTS[face]
+    .filter(([a, b]) => isPieceSolved(state, [face, a, b], centers) && isPieceSolved(state, [a, b], centers))
+    .map(([a, b]) => [centers[a], centers[b]].sort().join('-'));
+}
+
+// Last layer (across from the cross face) all its center's color on top
+export function isLastLayerOriented(state, face) {
+  const top = OPPOSITE[face];
+  const color = state.getFaceOrientation()[top];
+  return state.getFaceColors(top).every(sticker => sticker === color);
+}
+
+// A copy of the state turned so the cross face is at the bottom
+function toStandardView(state, face) {
+  return applyAlgorithm(state.clone(), TO_BOTTOM[face]);
+}
+
+// Which OLL case the last layer shows (the first two layers solved on the
+// cross face), or null if it's already oriented. Found by trying each
+// case's algorithm from each angle until one orients it
+export function identifyOll(state, face) {
+  if (isLastLayerOriented(state, face)) return null;
+
+  const view = toStandardView(state, face);
+  for (const auf of AUFS) {
+    const turned = applyAlgorithm(view.clone(), auf);
+    const found = OLL_CASES.find(oll => {
+      return isLastLayerOriented(applyAlgorithm(turned.clone(), oll.algorithm), 'down');
+    });
+    if (found) return found;
+  }
+  return null;
+}
+
+// Which PLL case the last layer shows (everything else solved and the
+// last layer oriented), or null if it only needs a turn of that layer
+export function identifyPll(state, face) {
+  const view = toStandardView(state, face);
+  if (solvesWithAuf(view)) return null;
+
+  for (const auf of AUFS) {
+    const turned = applyAlgorithm(view.clone(), auf);
+    const found = PLL_CASES.find(pll => solvesWithAuf(applyAlgorithm(turned.clone(), pll.algorithm)));
+    if (found) return found;
+  }
+  return null;
+}
+
+// Solved, or a turn of the top layer away from it
+function solvesWithAuf(state) {
+  const turned = state.clone();
+  for (let i = 0; i < AUFS.length; i++) {
+    if (turned.isSolved()) return true;
+    applyAlgorithm(turned, 'U');
+  }
+  return false;
+}
+
+// How a split for a stage reads, e.g. 'Pair 2' or 'OLL skip'. Null for
+// the fourth pair, which is the same moment as the F2L split
+export function stageLabel({ stage, count, case: found }) {
+  switch (stage) {
+    case 'cross': return 'Cross';
+    case 'pair': return count < 4 ? `Pair ${count}` : null;
+    case 'f2l': return 'F2L';
+    case 'oll': return found ? found.name : 'OLL skip';
+    case 'pll': return found ? found.name : 'PLL skip';
+    default: return null;
+  }
+}
+
+// Milestones reached over a run of moves ({ axis, layers, direction, t }
+// as in a recording) from a start state, each timed at its move's t.
+// Empty unless it's a 3x3
+export function findStages(startState, moves) {
+  const state = startState.clone();
+  let time = 0;
+  const detector = new StageDetector({ state }, () => time);
+
+  return moves.flatMap(({ axis, layers, direction, t }) => {
+    state.applyMove(axis, layers, direction);
+    time = t;
+    return detector.check();
+  });
+}
+
+export class StageDetector {
+  constructor(cube, now = () => performance.now()) {
+    this.cube = cube;
+    this.now = now;
+    this.sync();
+  }
+
+  // Take whatever is reached now as the baseline, without reporting it
+  // (after a reset, scramble or jump to another state)
+  sync() {
+    this.progress = this.createProgress();
+    this.check();
+  }
+
+  createProgress() {
+    return {
+      color: null, // Of the cross the solve is built on
+      pairs: [], // Slots solved so far
+      f2l: false,
+      oll: false,
+      pll: false,
+      ollCase: null, // As recognised when the first two layers were done
+      pllCase: null // As recognised when the last layer was oriented
+    };
+  }
+
+  // Check for milestones reached since the last check. Returns them in
+  // order, each { stage, color, time } plus, by stage:
+  // 'cross'
+  // 'pair'  slot (e.g. 'green-red'), count (pairs so far)
+  // 'f2l'
+  // 'oll'   case from LastLayerCases.js, or null for a skip
+  // 'pll'   case, or null for a skip
+  // A solve starts over once no cross is left on any color. 3x3 only
+  check() {
+    const { state } = this.cube;
+    if (state.size !== 3) return [];
+
+    const centers = state.getFaceOrientation();
+    const crosses = FACE_NAMES.filter(face => isCrossSolved(state, face, centers));
+    if (crosses.length === 0) {
+      this.progress = this.createProgress();
+      return [];
+    }
+
+    const time = this.now();
+    const progress = this.progress;
+    const reached = [];
+    const report = (stage, details = {}) => reached.push({ stage, color: progress.color, time, ...details });
+
+    // With more than one cross at once, go with the furthest along
+    if (!progress.color) {
+      const [face] = [...crosses].sort((a, b) => {
+        return getSolvedPairs(state, b, centers).length - getSolvedPairs(state, a, centers).length;
+      });
+      progress.color = centers[face];
+      report('cross');
+    }
+
+    const face = FACE_NAMES.find(name => centers[name] === progress.color);
+    if (!crosses.includes(face)) return reached; // Until the cross is back
+
+    const pairs = getSolvedPairs(state, face, centers);
+    pairs.filter(slot => !progress.pairs.includes(slot)).forEach(slot => {
+      progress.pairs.push(slot);
+      report('pair', { slot, count: progress.pairs.length });
+    });
+    if (pairs.length < SLOTS[face].length) return reached;
+
+    if (!progress.f2l) {
+      progress.f2l = true;
+      progress.ollCase = identifyOll(state, face);
+      report('f2l');
+    }
+
+    if (!isLastLayerOriented(state, face)) return reached;
+    if (!progress.oll) {
+      progress.oll = true;
+      progress.pllCase = identifyPll(state, face);
+      report('oll', { case: progress.ollCase });
+    }
+
+    if (!progress.pll && state.isSolved()) {
+      progress.pll = true;
+      report('pll', { case: progress.pllCase });
+    }
+    return reached;
+  }
+}
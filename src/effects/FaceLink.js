@@ -246,14 +246,30 @@ export class FaceLink {
       }
     });
 
-    // Animate line shrinking back (reverse vine)
+    // Animate line shrinking back (reverse vine) into the face
     const positionAttr = link.line.geometry.attributes.position;
-    const startPoint = link.faceCenter;
+    const { curvePoints, segmentCount } = link;
+    const animState = { progress: 1 };
+
+    gsap.to(animState, {
+      progress: 0,
+      duration: 0.5,
+      ease: "power2.in",
+      onUpdate: () => {
+        const tip = this.getPointOnCurve(curvePoints, animState.progress);
+        for (let i = 0; i < segmentCount; i++) {
+          const t = i / (segmentCount - 1);
+          const point = t <= animState.progress ? this.getPointOnCurve(curvePoints, t) : tip;
+          positionAttr.setXYZ(i, point.x, point.y, point.z);
+        }
+        positionAttr.needsUpdate = true;
+      }
+    });
 
     gsap.to(link.line.material, {
       opacity: 0,
-      duration: 0.4,
-      delay: 0.1,
+      duration: 0.3,
+      delay: 0.3,
       ease: "power2.in",
       onComplete: () => {
         this.scene.remove(link.line);
@@ -265,6 +281,13 @@ export class FaceLink {
     this.activeLinks.delete(face);
   }
 
+  // Hide the link to a section, wherever it is showing
+  hideSection(section) {
+    for (const [face, link] of this.activeLinks) {
+      if (link.section === section) this.hide(face);
+    }
+  }
+
   hideAll() {
     for (const face of this.activeLinks.keys()) {
       this.hide(face);
@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { CUBIE_SIZE, CUBIE_GAP } from '../utils/constants.js';
+
+// Where the turn arrow starts when no anchor is given: the corner facing
+// the default camera
+const DEFAULT_ANCHOR = new THREE.Vector3(1, 1, 1);
+
+// For a turn about each axis, two directions across its plane such that a
+// positive turn carries the first towards the second
+const PLANE_AXES = {
+  x: ['y', 'z'],
+  y: ['z', 'x'],
+  z: ['x', 'y']
+};
+
+// Which highlight wins a sticker that more than one wants to light
+export const HIGHLIGHT_PRIORITY = { hover: 0, drag: 1, hint: 2 };
+
+// How each kind of highlight lights its stickers
+const LOOKS = {
+  pulse: { emissiveIntensity: 0.6, duration: 0.5, ease: "sine.inOut", yoyo: true, repeat: -1 },
+  glow: { emissiveIntensity: 0.25, duration: 0.2, ease: "power2.out" },
+  sticker: { emissiveIntensity: 0.35, duration: 0.15, ease: "power2.out" }
+};
+
+// Every highlight that wants each sticker material. Highlights share the
+// cubies' materials, so only the highest priority one lights a sticker;
+// when it clears, the sticker goes back to the next one down
+const claims = new WeakMap(); // material -> Set of LayerHighlight
+
+// The highlight a material shows: highest priority, latest on a tie
+function topClaim(material) {
+  let top = null;
+  claims.get(material)?.forEach((highlight) => {
+    if (!top || highlight.priority >= top.priority) top = highlight;
+  });
+  return top;
+}
+
+// Lights up part of the cube by tinting the stickers' emissive: one or
+// more layers (e.g. the layer a hint says to turn next, or the one being
+// dragged), optionally with an arrow showing which way they turn, or a
+// single sticker (e.g. the one under the pointer).
+// Each instance shows one highlight at a time; use several for
+// highlights that should coexist, with a HIGHLIGHT_PRIORITY each.
+export class LayerHighlight {
+  constructor(cube, { priority = HIGHLIGHT_PRIORITY.hint } = {}) {
+    this.cube = cube;
+    this.priority = priority;
+    this.materials = [];
+    this.look = null; // From LOOKS, while showing
+    this.arrow = null;
+  }
+
+  // options.direction: quarter turns, as in Cube.rotateLayers - adds an
+  // arrow around the layers showing that turn
+  // options.anchor: a point in the cube group's space the arrow starts
+  // beside, e.g. where a drag grabbed the cube
+  // options.pulse: pulse (to catch the eye) or hold a soft steady glow
+  show(axis, layers, { direction = 0, anchor = DEFAULT_ANCHOR, pulse = true } = {}) {
+    this.showCubies(layers.flatMap(layer => this.cube.getCubiesOnLayer(axis, layer)), { pulse });
+
+    if (direction) {
+      this.showArrow(axis, layers, direction, anchor);
+    }
+  }
+
+  showCubies(cubies, { pulse = true } = {}) {
+    this.clear();
+    this.claim(cubies.flatMap(cubie => cubie.mesh.material), pulse ? LOOKS.pulse : LOOKS.glow);
+  }
+
+  // One sticker: materialIndex as in the cubie mesh's material array (and
+  // a raycast intersection's face.materialIndex)
+  showSticker(cubie, materialIndex) {
+    this.clear();
+    this.claim([cubie.mesh.material[materialIndex]], LOOKS.sticker);
+  }
+
+  // A curved arrow round the layers, a quarter turn long (half for a half
+  // turn), pointing the way they turn
+  showArrow(axis, layers, direction, anchor) {
+    this.removeArrow();
+
+    const spacing = CUBIE_SIZE + CUBIE_GAP;
+    const radius = (this.cube.state.outerLayer + 1) * spacing;
+    const offset = (layers.reduce((sum, layer) => sum + layer, 0) / layers.length) * spacing;
+
+    const axisVector = new THREE.Vector3();
+    axisVector[axis] = 1;
+    const [uAxis, vAxis] = PLANE_AXES[axis];
+    const u = new THREE.Vector3();
+    u[uAxis] = 1;
+    const v = new THREE.Vector3();
+    v[vAxis] = 1;
+
+    const start = Math.atan2(anchor[vAxis], anchor[uAxis]);
+    const sweep = direction * (Math.PI / 2) * 0.8;
+    const pointAt = (angle) => axisVector.clone().multiplyScalar(offset)
+      .addScaledVector(u, radius * Math.cos(angle))
+      .addScaledVector(v, radius * Math.sin(angle));
+
+    const segments = 32;
+    const points = Array.from({ length: segments + 1 }, (_, i) => pointAt(start + sweep * (i / segments)));
+
+    // Drawn over the cube, so it shows even where the arc passes behind
+    const look = { color: 0xffffff, transparent: true, opacity: 0, depthTest: false };
+    const lineMaterial = new THREE.LineBasicMaterial(look);
+    const headMaterial = new THREE.MeshBasicMaterial(look);
+
+    const arrow = new THREE.Group();
+    arrow.renderOrder = 10;
+
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), lineMaterial);
+    line.renderOrder = 10;
+    arrow.add(line);
+
+    // Arrowhead at the end, pointing along the turn
+    const end = start + sweep;
+    const tangent = u.clone().multiplyScalar(-Math.sin(end))
+      .addScaledVector(v, Math.cos(end))
+      .multiplyScalar(Math.sign(sweep));
+    const head = new THREE.Mesh(new THREE.ConeGeometry(0.1, 0.28, 12), headMaterial);
+    head.position.copy(points[segments]);
+    head.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tangent);
+    head.renderOrder = 10;
+    arrow.add(head);
+
+    this.cube.group.add(arrow);
+    this.arrow = arrow;
+
+    gsap.to([lineMaterial, headMaterial], { opacity: 0.85, duration: 0.2 });
+  }
+
+  removeArrow() {
+    if (!this.arrow) return;
+
+    this.arrow.removeFromParent();
+    this.arrow.children.forEach(object => {
+      gsap.killTweensOf(object.material);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    this.arrow = null;
+  }
+
+  // Want these materials lit with this look, and light the ones no higher
+  // priority highlight has
+  claim(materials, look) {
+    this.materials = materials;
+    this.look = look;
+    materials.forEach((material) => {
+      if (!claims.has(material)) claims.set(material, new Set());
+      claims.get(material).add(this);
+    });
+    this.light(materials.filter(material => topClaim(material) === this));
+  }
+
+  light(materials) {
+    if (materials.length === 0) return;
+    gsap.killTweensOf(materials);
+    gsap.to(materials, { ...this.look });
+  }
+
+  clear() {
+    this.removeArrow();
+    if (this.materials.length === 0) return;
+
+    // Only stickers this was lighting change: each goes to whichever
+    // highlight still wants it, or fades out
+    const shown = this.materials.filter(material => topClaim(material) === this);
+    this.materials.forEach(material => claims.get(material).delete(this));
+    this.materials = [];
+    this.look = null;
+
+    const unlit = [];
+    shown.forEach((material) => {
+      const next = topClaim(material);
+      if (next) {
+        next.light([material]);
+      } else {
+        unlit.push(material);
+      }
+    });
+    if (unlit.length === 0) return;
+
+    gsap.killTweensOf(unlit);
+    gsap.to(unlit, {
+      emissiveIntensity: 0,
+      duration: 0.2
+    });
+  }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import gsap from 'gsap';
 
 export class ParticleSystem {
   constructor(scene) {
@@ -37,6 +38,67 @@ export class ParticleSystem {
     this.scene.add(this.particles);
   }
 
+  // One-off burst of sparks flying out from the middle of the scene and
+  // fading, in the given colors
+  burst(colors, { count = 400, radius = 7, duration = 1.8 } = {}) {
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(count * 3);
+    const vertexColors = new Float32Array(count * 3);
+    const directions = [];
+    const color = new THREE.Color();
+
+    for (let i = 0; i < count; i++) {
+      // Random direction, and a random share of the radius to travel
+      const theta = Math.random() * Math.PI * 2;
+      const phi = Math.acos(2 * Math.random() - 1);
+      directions.push(new THREE.Vector3(
+        Math.sin(phi) * Math.cos(theta),
+        Math.sin(phi) * Math.sin(theta),
+        Math.cos(phi)
+      ).multiplyScalar(radius * (0.4 + Math.random() * 0.6)));
+
+      color.setHex(colors[i % colors.length]);
+      vertexColors.set([color.r, color.g, color.b], i * 3);
+    }
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+
+    const material = new THREE.PointsMaterial({
+      size: 0.08,
+      vertexColors: true,
+      transparent: true,
+      opacity: 1,
+      sizeAttenuation: true
+    });
+
+    const sparks = new THREE.Points(geometry, material);
+    this.scene.add(sparks);
+
+    const state = { progress: 0 };
+    return gsap.to(state, {
+      progress: 1,
+      duration,
+      ease: "power3.out",
+      onUpdate: () => {
+        directions.forEach((direction, i) => {
+          positions.set([
+            direction.x * state.progress,
+            direction.y * state.progress,
+            direction.z * state.progress
+          ], i * 3);
+        });
+        geometry.attributes.position.needsUpdate = true;
+        material.opacity = 1 - state.progress * state.progress;
+      },
+      onComplete: () => {
+        this.scene.remove(sparks);
+        geometry.dispose();
+        material.dispose();
+      }
+    });
+  }
+
   update(time) {
     if (this.particles) {
       this.particles.rotation.y = time * 0.05;
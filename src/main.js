@@ -6,11 +6,34 @@ import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPa
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 import { Cube } from './cube/Cube.js';
 import { setupKeyboardControls } from './controls/KeyboardControls.js';
+import { Keymap } from './controls/Keymap.js';
+import { KeymapPanel } from './controls/KeymapPanel.js';
 import { DragControls } from './controls/DragControls.js';
 import { UnlockAnimation } from './animation/UnlockAnimation.js';
+import { FinaleAnimation } from './animation/FinaleAnimation.js';
 import { ParticleSystem } from './effects/Particles.js';
 import { FaceLink } from './effects/FaceLink.js';
-import { SECTIONS } from './utils/constants.js';
+import { SolutionPlayer } from './animation/SolutionPlayer.js';
+import { ProgressStore } from './progress/ProgressStore.js';
+import { ProgressPanel } from './progress/ProgressPanel.js';
+import { SolverClient } from './solver/SolverClient.js';
+import { FaceHint } from './solver/FaceHint.js';
+import { LayerHighlight } from './effects/LayerHighlight.js';
+import { SolveTimer } from './timer/SolveTimer.js';
+import { SessionStats, formatTime } from './timer/SessionStats.js';
+import { TimerPanel } from './timer/TimerPanel.js';
+import { CaseStats } from './trainer/CaseStats.js';
+import { AlgTrainer } from './trainer/AlgTrainer.js';
+import { TrainerPanel } from './trainer/TrainerPanel.js';
+import { PatternPanel } from './patterns/PatternPanel.js';
+import { AttractMode } from './patterns/AttractMode.js';
+import { stageLabel } from './detection/StageDetector.js';
+import { MoveRecorder } from './recording/MoveRecorder.js';
+import { ReplayPlayer } from './recording/ReplayPlayer.js';
+import { download } from './utils/download.js';
+import { encodeStateHash, decodeStateHash } from './cube/Facelets.js';
+import { moveToString, algorithmToString, moveToRotation } from './notation/Notation.js';
+import { SECTIONS, DEFAULT_CUBE_SIZE, MIN_CUBE_SIZE, MAX_CUBE_SIZE } from './utils/constants.js';
 import { inject } from '@vercel/analytics';
 import { injectSpeedInsights } from '@vercel/speed-insights';
 
@@ -81,9 +104,16 @@ const controls = new OrbitControls(camera, canvas);
 controls.enableDamping = true;
 controls.dampingFactor = 0.05;
 controls.enablePan = false; // Disable panning, only rotation
+controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_ROTATE }; // Pinch zooms and turns the view
+
+// Cube size from ?size=4 in the URL, 3x3 by default
+function getInitialSize() {
+  const size = parseInt(new URLSearchParams(window.location.search).get('size'), 10);
+  return size >= MIN_CUBE_SIZE && size <= MAX_CUBE_SIZE ? size : DEFAULT_CUBE_SIZE;
+}
 
 // Create the Rubik's cube
-const cube = new Cube(scene);
+const cube = new Cube(scene, { size: getInitialSize() });
 cube.addToScene(scene);
 
 // Particle system
@@ -94,48 +124,711 @@ const faceLink = new FaceLink(scene, camera, cube);
 
 // Unlock animation
 const unlockAnimation = new UnlockAnimation(cube);
+const finaleAnimation = new FinaleAnimation(cube, particles);
+
+// Solver (runs in a worker) and solution playback
+const solver = new SolverClient();
+const solutionPlayer = new SolutionPlayer(cube);
+
+// Single-face hints, shown by pulsing the layer to turn with an arrow the
+// way it turns
+const faceHint = new FaceHint(cube, solver);
+const layerHighlight = new LayerHighlight(cube);
+
+// Timer mode - timed solves instead of unlocking sections
+const solveTimer = new SolveTimer();
+const sessionStats = new SessionStats();
+const timerPanel = new TimerPanel(solveTimer, sessionStats);
+let timerMode = false;
+let timedScramble = ''; // Scramble of the attempt being timed
+
+// Trainer mode - drill OLL/PLL cases, weakest most often (no sections
+// unlock while training either)
+const caseStats = new CaseStats();
+const trainer = new AlgTrainer(cube, caseStats);
+const trainerPanel = new TrainerPanel(trainer, caseStats);
+let trainerMode = false;
+
+function isPracticing() {
+  return timerMode || trainerMode;
+}
 
-// Setup keyboard controls
-setupKeyboardControls(cube);
+// Everything done since the last scramble, and playback of recordings
+const recorder = new MoveRecorder(cube);
+const replayPlayer = new ReplayPlayer(cube);
 
-// Setup drag controls
+// Setup keyboard controls - remappable keys (saved in localStorage), and
+// face keys can follow the camera (View keys). Debug keys only in dev
+const keymap = new Keymap();
+const keymapPanel = new KeymapPanel(keymap);
+const keyboard = setupKeyboardControls(cube, keymap, { camera, dev: import.meta.env.DEV });
+
+// Setup drag controls - mouse or touch. Highlights the sticker under the
+// mouse and the layer being dragged; a long press on a sticker pulses the
+// layers a drag from there can turn
 const dragControls = new DragControls(cube, camera, canvas, controls);
 
-// Helper to get section from face color
-function getSectionForFace(face) {
-  const faceColors = {
-    right: 'red',
-    left: 'orange',
-    up: 'white',
-    down: 'yellow',
-    front: 'green',
-    back: 'blue'
-  };
-  return SECTIONS[faceColors[face]];
-}
-
-// Face solved callback - trigger unlock animation, then show face link
-cube.onFaceSolved = (face) => {
-  console.log(`Face ${face} was solved!`);
-  const section = getSectionForFace(face);
-
-  // Set callback for when animation completes
-  unlockAnimation.onComplete = () => {
-    faceLink.show(face, section);
-  };
-
-  unlockAnimation.play(face);
-};
+// Unlocked sections. Solving a color's face unlocks its section; breaking
+// the face locks it again, unless "keep unlocked" is on (saved in
+// localStorage). Every section ever unlocked is remembered across visits
+// (ProgressStore) and can be opened again from the legend
+const KEEP_UNLOCKED_KEY = 'cube-keep-unlocked';
+const unlockedColors = new Set();
+let keepUnlocked = false;
+try {
+  keepUnlocked = localStorage.getItem(KEEP_UNLOCKED_KEY) === 'true';
+} catch {
+  // Storage disabled - sections lock again when broken
+}
+
+let movesSinceScramble = 0; // Turns made towards the current solve
+let solveStartedAt = null; // When the first of them was made
+
+const progress = new ProgressStore();
+const progressPanel = new ProgressPanel(progress, {
+  onOpen: (color) => faceLink.navigateTo(SECTIONS[color]),
+  onReset: () => relockUnsolved()
+});
+
+// Kept unlocked means kept across visits too
+if (keepUnlocked) {
+  progress.colors.forEach(color => unlockedColors.add(color));
+}
+
+function updateLegend() {
+  progressPanel.render(unlockedColors);
+}
+
+// Lock every section whose face isn't solved right now
+function relockUnsolved() {
+  const solved = cube.solveDetector.getSolvedColors();
+  [...unlockedColors].filter(color => !solved.has(color)).forEach(color => unlockedColors.delete(color));
+  updateLegend();
+}
+
+updateLegend();
+
+cube.on('move:end', ({ layers, source }) => {
+  if (source !== 'scramble' && source !== 'replay' && source !== 'pattern' && layers.length < cube.size) {
+    movesSinceScramble++;
+    solveStartedAt ??= performance.now();
+  }
+});
+
+// Face solved - trigger unlock animation, then show face link.
+// The section comes from the color that was completed, wherever that face
+// has ended up after slice moves or rotations. A replay only re-runs an
+// old solve, so it neither unlocks nor locks anything
+cube.on('face:solved', ({ face, color }) => {
+  if (isPracticing() || stateBeforeReplay) return;
+
+  console.log(`The ${color} face was solved (on the ${face})!`);
+  const section = SECTIONS[color];
+  unlockedColors.add(color);
+  progress.unlock(color, { moves: movesSinceScramble });
+  updateLegend();
+
+  unlockAnimation.play(face, () => {
+    // Only if it wasn't broken again while the animation played
+    const solvedFace = cube.solveDetector.getSolvedColors().get(color);
+    if (solvedFace) faceLink.show(solvedFace, section);
+  });
+});
+
+// Face broken - retract its link, and re-lock the section
+cube.on('face:unsolved', ({ face, color }) => {
+  if (isPracticing() || stateBeforeReplay) return;
+
+  faceLink.hideSection(SECTIONS[color]);
+  if (keepUnlocked || !unlockedColors.has(color)) return;
+
+  unlockedColors.delete(color);
+  updateLegend();
+  unlockAnimation.relock(face);
+});
+
+// A scramble breaks every face at once - lock them all without fuss
+cube.on('scramble:start', () => {
+  movesSinceScramble = 0;
+  solveStartedAt = null;
+  if (keepUnlocked) return;
+  unlockedColors.clear();
+  updateLegend();
+});
+
+const keepUnlockedToggle = document.getElementById('keep-unlocked-toggle');
+if (keepUnlockedToggle) keepUnlockedToggle.checked = keepUnlocked;
+
+keepUnlockedToggle?.addEventListener('change', () => {
+  keepUnlocked = keepUnlockedToggle.checked;
+  keepUnlockedToggle.blur(); // Don't let Space toggle it again
+  try {
+    localStorage.setItem(KEEP_UNLOCKED_KEY, String(keepUnlocked));
+  } catch {
+    // Storage disabled - the choice lasts until the page is closed
+  }
+
+  // Turning it off locks whatever isn't solved right now; turning it on
+  // brings back everything earned
+  if (keepUnlocked) {
+    progress.colors.forEach(color => unlockedColors.add(color));
+    updateLegend();
+  } else {
+    relockUnsolved();
+  }
+});
 
 // UI Elements
 const scrambleBtn = document.getElementById('scramble-btn');
 const backBtn = document.getElementById('back-btn');
 const sectionOverlay = document.getElementById('section-overlay');
+const sizeSelect = document.getElementById('size-select');
+const shareBtn = document.getElementById('share-btn');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const solveBtn = document.getElementById('solve-btn');
+const solutionPanel = document.getElementById('solution-panel');
+const solutionStatus = document.getElementById('solution-status');
+const solutionMoves = document.getElementById('solution-moves');
+const solutionPlayBtn = document.getElementById('solution-play-btn');
+const solutionStepBtn = document.getElementById('solution-step-btn');
+const solutionCloseBtn = document.getElementById('solution-close-btn');
+const hintTarget = document.getElementById('hint-target');
+const hintBtn = document.getElementById('hint-btn');
+const hintPathBtn = document.getElementById('hint-path-btn');
+const hintText = document.getElementById('hint-text');
+const difficultySelect = document.getElementById('difficulty-select');
+const scrambleInfo = document.getElementById('scramble-info');
+const scrambleText = document.getElementById('scramble-text');
+const copyScrambleBtn = document.getElementById('copy-scramble-btn');
+const timerModeBtn = document.getElementById('timer-mode-btn');
+const replayBtn = document.getElementById('replay-btn');
+const replayPanel = document.getElementById('replay-panel');
+const replayStatus = document.getElementById('replay-status');
+const replayTimeline = document.getElementById('replay-timeline');
+const replaySplits = document.getElementById('replay-splits');
+const replayPlayBtn = document.getElementById('replay-play-btn');
+const replayBackBtn = document.getElementById('replay-back-btn');
+const replayForwardBtn = document.getElementById('replay-forward-btn');
+const replaySpeed = document.getElementById('replay-speed');
+const replayFile = document.getElementById('replay-file');
+
+// Scramble at the chosen difficulty, then show what was played so it
+// can be copied (or repeated with cube.scramble({ seed }))
+let lastScramble = '';
+
+async function scramble() {
+  faceLink.hideAll();
+  scrambleInfo?.classList.add('hidden');
+  if (timerMode) solveTimer.cancel();
+
+  let played;
+  try {
+    played = await cube.scramble({ difficulty: difficultySelect?.value });
+  } catch (err) {
+    console.error(`Couldn't scramble the cube: ${err.message}`);
+    return;
+  }
+
+  const { seed, text } = played;
+  if (scrambleText) scrambleText.textContent = `#${seed}: ${text}`;
+  scrambleInfo?.classList.remove('hidden');
+  lastScramble = text;
+  recorder.start({ scramble: text });
+
+  // In timer mode every scramble starts a timed attempt
+  if (timerMode) {
+    timedScramble = text;
+    solveTimer.startInspection();
+  }
+}
+
+scrambleBtn?.addEventListener('click', scramble);
+
+// Don't let face keys change the selection
+difficultySelect?.addEventListener('change', () => difficultySelect.blur());
+
+copyScrambleBtn?.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(lastScramble);
+    copyScrambleBtn.textContent = 'Copied';
+  } catch {
+    copyScrambleBtn.textContent = 'Copy failed';
+  }
+  setTimeout(() => {
+    copyScrambleBtn.textContent = 'Copy';
+  }, 2000);
+});
+
+// Share, Solve and hints only work on 3x3 cubes
+function updateSizeButtons() {
+  const is3x3 = cube.size === 3;
+  [shareBtn, solveBtn, hintBtn, hintPathBtn].forEach(btn => {
+    if (btn) btn.disabled = !is3x3;
+  });
+}
+
+// Share button - put the position in the URL hash and copy the link
+
+shareBtn?.addEventListener('click', async () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('size');
+  url.hash = `state=${encodeStateHash(cube.state)}`;
+  window.history.replaceState(null, '', url);
+
+  try {
+    await navigator.clipboard.writeText(url.href);
+    shareBtn.textContent = 'Link copied';
+  } catch {
+    shareBtn.textContent = 'Link in address bar';
+  }
+  setTimeout(() => {
+    shareBtn.textContent = 'Share';
+  }, 2000);
+});
+
+// Load a shared position from #state=... if there is one
+function loadSharedState() {
+  const match = window.location.hash.match(/^#state=(.+)$/);
+  if (!match) return false;
+
+  try {
+    const state = decodeStateHash(match[1]);
+    faceLink.hideAll();
+    scrambleInfo?.classList.add('hidden');
+    cube.setState(state).then(() => {
+      if (sizeSelect) sizeSelect.value = String(cube.size);
+      updateSizeButtons();
+      recorder.start();
+    });
+    return true;
+  } catch (err) {
+    console.error(`Couldn't load shared cube: ${err.message}`);
+    return false;
+  }
+}
+
+window.addEventListener('hashchange', loadSharedState);
+
+updateSizeButtons();
+
+// Solve button - find a solution in the worker, then offer to play it
+solveBtn?.addEventListener('click', async () => {
+  if (cube.isScrambling) return;
+
+  solutionPlayer.pause();
+  solveBtn.disabled = true;
+  solveBtn.textContent = 'Solving...';
+
+  try {
+    await cube.whenIdle();
+    const solution = await solver.solve(cube.exportFacelets(), { timeLimit: 1000 });
+    solutionPlayer.load(solution);
+    solutionPanel?.classList.remove('hidden');
+  } catch (err) {
+    console.error(`Couldn't solve the cube: ${err.message}`);
+  } finally {
+    solveBtn.textContent = 'Solve';
+    updateSizeButtons();
+  }
+});
+
+solutionPlayBtn?.addEventListener('click', () => {
+  if (solutionPlayer.isPlaying) {
+    solutionPlayer.pause();
+  } else {
+    solutionPlayer.play();
+  }
+});
+solutionStepBtn?.addEventListener('click', () => solutionPlayer.step());
+
+function closeSolution() {
+  solutionPlayer.clear();
+  solutionPanel?.classList.add('hidden');
+}
+
+solutionCloseBtn?.addEventListener('click', closeSolution);
+
+// Show each move of the solution, highlighting the next one to play
+solutionPlayer.on('change', (player) => {
+  if (!solutionMoves) return;
+
+  solutionMoves.replaceChildren(...player.moves.map((move, i) => {
+    const span = document.createElement('span');
+    span.textContent = moveToString(move);
+    if (i < player.index) span.className = 'done';
+    if (i === player.index && !player.isStale) span.className = 'current';
+    return span;
+  }));
+
+  if (solutionStatus) {
+    if (player.isStale) {
+      solutionStatus.textContent = 'The cube was turned - press Solve again';
+    } else if (player.moves.length === 0) {
+      solutionStatus.textContent = 'Already solved';
+    } else {
+      solutionStatus.textContent = `Move ${player.index} of ${player.moves.length}`;
+    }
+  }
+
+  const canContinue = !player.isStale && !player.isFinished;
+  if (solutionPlayBtn) {
+    solutionPlayBtn.textContent = player.isPlaying ? 'Pause' : 'Play';
+    solutionPlayBtn.disabled = !canContinue;
+  }
+  if (solutionStepBtn) solutionStepBtn.disabled = !canContinue || player.isPlaying;
+});
+
+// Undo / redo buttons, enabled only when there is something to do
+undoBtn?.addEventListener('click', () => cube.undo());
+redoBtn?.addEventListener('click', () => cube.redo());
+
+cube.history.on('change', (history) => {
+  if (undoBtn) undoBtn.disabled = !history.canUndo;
+  if (redoBtn) redoBtn.disabled = !history.canRedo;
+});
+
+// Hints - find the shortest way to the chosen section's face, then
+// highlight the next move or list the whole path
+let hintShowsPath = false;
+
+async function showHint(fullPath) {
+  const color = hintTarget.value;
+  const { name } = SECTIONS[color];
+
+  try {
+    const path = await faceHint.getPath(color);
+    if (path.length === 0) {
+      layerHighlight.clear();
+      hintText.textContent = `The ${name} face is already solved`;
+      return;
+    }
+
+    const { axis, layers, direction } = moveToRotation(path[0], cube.size);
+    layerHighlight.show(axis, layers, { direction });
+    hintShowsPath = fullPath;
+    hintText.textContent = fullPath
+      ? `${name}: ${algorithmToString(path)}`
+      : `Next: ${moveToString(path[0])} (${path.length} ${path.length === 1 ? 'move' : 'moves'} to ${name})`;
+  } catch (err) {
+    hintText.textContent = '';
+    console.error(`Couldn't find a hint: ${err.message}`);
+  }
+}
+
+hintBtn?.addEventListener('click', () => showHint(false));
+hintPathBtn?.addEventListener('click', () => showHint(true));
+
+// Don't let face keys change the selection
+hintTarget?.addEventListener('change', () => hintTarget.blur());
+
+// After every move: record it, start the clock if a timed solve is
+// waiting, and drop the highlighted hint, which is now out of date.
+// A revealed path stays up to follow along, until a scramble
+cube.on('move:end', (move) => {
+  const { layers, source } = move;
+  recorder.record(move);
+
+  // The first turn after inspection starts the clock (whole-cube
+  // rotations are part of inspecting)
+  if (timerMode && solveTimer.state === 'inspecting' && source === 'user' &&
+      layers.length < cube.size) {
+    solveTimer.start();
+  }
+
+  layerHighlight.clear();
+  if (hintText && (!hintShowsPath || source === 'scramble')) {
+    hintText.textContent = '';
+  }
+});
+
+// Replay - play back the recording since the last scramble (or a loaded
+// one). Closing puts the cube back where it was
+let stateBeforeReplay = null;
+
+async function openReplay(recording) {
+  if (!stateBeforeReplay) {
+    await cube.whenIdle();
+    stateBeforeReplay = cube.state.clone();
+  }
+
+  closeSolution();
+  faceLink.hideAll();
+  unlockAnimation.cancel();
+  hideFinale();
+  await replayPlayer.load(recording);
+  replayPanel?.classList.remove('hidden');
+}
+
+async function closeReplay() {
+  replayPlayer.close();
+  replayPanel?.classList.add('hidden');
+
+  if (stateBeforeReplay) {
+    unlockAnimation.cancel();
+    cube.cancelMoves();
+    await cube.setState(stateBeforeReplay);
+    stateBeforeReplay = null;
+    updateSizeButtons();
+  }
+}
+
+replayBtn?.addEventListener('click', () => openReplay(recorder.toJSON()));
+document.getElementById('replay-close-btn')?.addEventListener('click', closeReplay);
+
+replayPlayBtn?.addEventListener('click', () => {
+  if (replayPlayer.isPlaying) {
+    replayPlayer.pause();
+  } else {
+    replayPlayer.play();
+  }
+});
+replayBackBtn?.addEventListener('click', () => replayPlayer.stepBack());
+replayForwardBtn?.addEventListener('click', () => {
+  replayPlayer.pause();
+  replayPlayer.stepForward();
+});
+replayTimeline?.addEventListener('input', () => {
+  replayPlayer.seek(parseInt(replayTimeline.value, 10));
+});
+replaySpeed?.addEventListener('change', () => {
+  replayPlayer.setSpeed(parseFloat(replaySpeed.value));
+  replaySpeed.blur();
+});
+
+document.getElementById('replay-save-btn')?.addEventListener('click', () => {
+  if (!replayPlayer.recording) return;
+  download('cube-recording.json', JSON.stringify(replayPlayer.recording), 'application/json');
+});
+document.getElementById('replay-load-btn')?.addEventListener('click', () => replayFile?.click());
+replayFile?.addEventListener('change', async () => {
+  const file = replayFile.files[0];
+  replayFile.value = '';
+  if (!file) return;
+
+  try {
+    await openReplay(JSON.parse(await file.text()));
+    if (sizeSelect) sizeSelect.value = String(cube.size);
+    updateSizeButtons();
+  } catch (err) {
+    if (replayStatus) replayStatus.textContent = `Couldn't load recording: ${err.message}`;
+  }
+});
+
+replayPlayer.on('change', (player) => {
+  if (replayTimeline) {
+    replayTimeline.max = String(player.length);
+    replayTimeline.value = String(player.index);
+  }
+  if (replayStatus) {
+    replayStatus.textContent = player.length === 0
+      ? 'No moves recorded since the scramble yet'
+      : `${formatTime(player.currentTime)} / ${formatTime(player.duration)} - move ${player.index} of ${player.length}`;
+  }
+  if (replayPlayBtn) {
+    replayPlayBtn.textContent = player.isPlaying ? 'Pause' : 'Play';
+    replayPlayBtn.disabled = player.length === 0;
+  }
+  if (replayBackBtn) replayBackBtn.disabled = player.index === 0;
+  if (replayForwardBtn) replayForwardBtn.disabled = player.index >= player.length;
+
+  // The recording's stage splits, dimmed until playback gets to them
+  if (replaySplits) {
+    replaySplits.replaceChildren(...player.stages.flatMap((reached) => {
+      const label = stageLabel(reached);
+      if (!label) return [];
+
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = label;
+      dd.textContent = formatTime(reached.time);
+      const pending = reached.time > player.currentTime;
+      dt.classList.toggle('pending', pending);
+      dd.classList.toggle('pending', pending);
+      return [dt, dd];
+    }));
+  }
+});
+
+// Timer mode on/off
+function setTimerMode(enabled) {
+  if (enabled && trainerMode) setTrainerMode(false);
+  timerMode = enabled;
+  solveTimer.cancel();
+  document.body.classList.toggle('timer-mode', enabled);
+  if (timerModeBtn) timerModeBtn.textContent = enabled ? 'Exit timer' : 'Timer';
+
+  if (enabled) {
+    faceLink.hideAll();
+    closeSolution();
+    hideFinale();
+    layerHighlight.clear();
+    timerPanel.show();
+  } else {
+    timerPanel.hide();
+  }
+}
+
+timerModeBtn?.addEventListener('click', () => setTimerMode(!timerMode));
+
+// Trainer mode on/off. Cases are 3x3 only, so it switches to a 3x3
+const trainerModeBtn = document.getElementById('trainer-mode-btn');
+
+async function setTrainerMode(enabled) {
+  if (enabled && timerMode) setTimerMode(false);
+  trainerMode = enabled;
+  document.body.classList.toggle('trainer-mode', enabled);
+  if (trainerModeBtn) trainerModeBtn.textContent = enabled ? 'Exit trainer' : 'Trainer';
+
+  if (enabled) {
+    faceLink.hideAll();
+    closeSolution();
+    hideFinale();
+    layerHighlight.clear();
+    scrambleInfo?.classList.add('hidden');
+    trainerPanel.show();
+    if (cube.size !== 3) await setCubeSize(3);
+    trainer.next();
+  } else {
+    trainer.stop();
+    trainerPanel.hide();
+  }
+}
+
+trainerModeBtn?.addEventListener('click', (e) => {
+  e.currentTarget.blur();
+  setTrainerMode(!trainerMode);
+});
+
+document.getElementById('keys-btn')?.addEventListener('click', (e) => {
+  patternPanel.hide(); // They share a spot
+  keymapPanel.toggle();
+  e.currentTarget.blur();
+});
+
+// Pattern gallery - put a pretty pattern on a 3x3. It's for show, so no
+// section unlocks, and any that aren't solved any more lock again
+const patternPanel = new PatternPanel();
+
+document.getElementById('patterns-btn')?.addEventListener('click', (e) => {
+  keymapPanel.hide();
+  patternPanel.toggle();
+  e.currentTarget.blur();
+});
+
+patternPanel.onSelect = async (pattern, { instant }) => {
+  if (stateBeforeReplay) await closeReplay();
+
+  faceLink.hideAll();
+  closeSolution();
+  layerHighlight.clear();
+  scrambleInfo?.classList.add('hidden');
+  if (cube.size !== 3) await setCubeSize(3);
+
+  try {
+    await cube.showPattern(pattern, { instant });
+  } catch (err) {
+    console.error(`Couldn't show the ${pattern.name} pattern: ${err.message}`);
+    return;
+  }
+  movesSinceScramble = 0;
+  solveStartedAt = null;
+  if (!keepUnlocked) relockUnsolved();
+};
+
+// View keys - name faces as they're seen rather than where they started
+const viewKeysBtn = document.getElementById('view-keys-btn');
+
+viewKeysBtn?.addEventListener('click', () => {
+  keyboard.viewRelative = !keyboard.viewRelative;
+  viewKeysBtn.textContent = keyboard.viewRelative ? 'Fixed keys' : 'View keys';
+  viewKeysBtn.blur(); // Don't let Space press it again
+});
+
+// Split times for each CFOP stage of a timed 3x3 solve
+['cross', 'pair', 'f2l', 'oll', 'pll'].forEach((stage) => {
+  cube.on(`stage:${stage}`, (details) => {
+    const label = stageLabel({ stage, ...details });
+    if (label && timerMode && solveTimer.state === 'running') {
+      timerPanel.addSplit(label, details.time - solveTimer.startTime);
+    }
+  });
+});
+
+// Whole cube solved. Timing: stop the clock. Otherwise it's the finale,
+// in place of the last face's unlock - the cube bursts apart and back
+// together, every section's vine grows at once, and a card sums up the
+// solve
+const finaleCard = document.getElementById('finale-card');
+const finaleStats = document.getElementById('finale-stats');
+
+function hideFinale() {
+  finaleAnimation.cancel();
+  finaleCard?.classList.add('hidden');
+}
+
+cube.on('cube:solved', () => {
+  if (timerMode) {
+    const result = solveTimer.stop();
+    if (result) {
+      sessionStats.add({ ...result, scramble: timedScramble });
+    }
+    return;
+  }
+  if (trainerMode || stateBeforeReplay) return; // Not a real solve
+
+  const moves = movesSinceScramble;
+  const time = solveStartedAt === null ? null : performance.now() - solveStartedAt;
+
+  unlockAnimation.cancel();
+  faceLink.hideAll();
+  finaleAnimation.play(() => {
+    for (const [color, face] of cube.solveDetector.getSolvedColors()) {
+      faceLink.show(face, SECTIONS[color]);
+    }
+
+    if (finaleStats) {
+      finaleStats.textContent = `${moves} ${moves === 1 ? 'move' : 'moves'} in ${formatTime(time)}`;
+    }
+    finaleCard?.classList.remove('hidden');
+  });
+});
+
+cube.on('scramble:start', hideFinale);
+cube.on('reset', hideFinale);
+
+document.getElementById('finale-scramble-btn')?.addEventListener('click', (e) => {
+  e.currentTarget.blur();
+  scramble();
+});
+document.getElementById('finale-close-btn')?.addEventListener('click', () => {
+  finaleCard?.classList.add('hidden');
+});
+
+// Size picker - rebuild the cube and keep the choice in the URL
+if (sizeSelect) {
+  sizeSelect.value = String(cube.size);
+}
+
+async function setCubeSize(size) {
+  if (sizeSelect) sizeSelect.value = String(size);
+
+  const url = new URL(window.location.href);
+  url.searchParams.set('size', size);
+  window.history.replaceState(null, '', url);
 
-// Scramble button
-scrambleBtn?.addEventListener('click', () => {
   faceLink.hideAll();
-  cube.scramble(25);
+  closeSolution();
+  hideFinale();
+  cube.cancelMoves();
+  await cube.setSize(size);
+  updateSizeButtons();
+}
+
+sizeSelect?.addEventListener('change', async () => {
+  sizeSelect.blur(); // Don't let face keys change the selection
+  await setCubeSize(parseInt(sizeSelect.value, 10));
+  scramble();
 });
 
 // Back button (close section overlay)
@@ -147,19 +840,59 @@ backBtn?.addEventListener('click', () => {
 document.addEventListener('keydown', (e) => {
   if (e.key === ' ' && !e.target.closest('button')) { // Spacebar (not on button)
     e.preventDefault();
-    faceLink.hideAll();
-    cube.scramble(25);
+    if (trainerMode) {
+      trainer.next();
+    } else {
+      scramble();
+    }
   }
   // Escape to close overlay
   if (e.key === 'Escape') {
     sectionOverlay?.classList.add('hidden');
+    finaleCard?.classList.add('hidden');
     faceLink.hideAll();
+    // Abandon a timed attempt
+    if (timerMode) solveTimer.cancel();
+  }
+});
+
+// Attract mode - after a minute with no input, cycle through the patterns
+// until someone touches the mouse or keyboard, then put the cube back.
+// Not while timing, training, replaying or reading a section
+const attractMode = new AttractMode(cube);
+
+attractMode.canStart = () => !isPracticing() && !stateBeforeReplay &&
+  (!sectionOverlay || sectionOverlay.classList.contains('hidden'));
+
+attractMode.onStart = () => {
+  faceLink.hideAll();
+  closeSolution();
+  hideFinale();
+  layerHighlight.clear();
+};
+
+// Bring back the links the patterns hid
+attractMode.onStop = () => {
+  for (const [color, face] of cube.solveDetector.getSolvedColors()) {
+    if (unlockedColors.has(color)) faceLink.show(face, SECTIONS[color]);
   }
+};
+
+// Capture, so input is noticed before anything else acts on it
+['pointerdown', 'pointermove', 'keydown', 'wheel'].forEach((type) => {
+  window.addEventListener(type, () => attractMode.poke(), { capture: true, passive: true });
 });
+attractMode.poke();
 
-// Initial scramble on load (after a short delay)
+// Initial scramble on load (after a short delay), unless a shared
+// position was linked
 setTimeout(() => {
-  cube.scramble(20);
+  if (!loadSharedState()) {
+    scramble();
+  }
+
+  // Build the solver tables in the background so Solve answers quickly
+  if (cube.size === 3) solver.warmUp();
 }, 500);
 
 // Handle resize
@@ -187,6 +920,10 @@ function animate() {
   // Update face links (lines follow cube)
   faceLink.update();
 
+  // Keep the solve and trainer clocks ticking
+  timerPanel.update();
+  trainerPanel.update();
+
   controls.update();
   composer.render();
 }
@@ -0,0 +1,276 @@
+// Standard Singmaster / WCA notation
+// R L U D F B  = outer faces, turned clockwise as seen looking at that face
+// Rw or r      = wide move (outer two layers), 3Rw = outer three layers
+// 2R           = a single inner slice, counted from the R face
+// M E S        = middle slices (M follows L, E follows D, S follows F)
+// x y z        = whole-cube rotations (follow R, U and F)
+// Suffix ' = counter-clockwise, 2 = half turn
+// (R U R' U')3 repeats a group, (R U)' inverts it
+//
+// A parsed move is a plain object: { face: 'R', amount: 1, depth: 1, wide: false }
+// amount is 1, -1 (prime), 2 or -2 (written 2')
+
+// Axis, and which end of it the face sits on
+const FACE_AXES = {
+  R: { axis: 'x', sign: 1 },
+  L: { axis: 'x', sign: -1 },
+  U: { axis: 'y', sign: 1 },
+  D: { axis: 'y', sign: -1 },
+  F: { axis: 'z', sign: 1 },
+  B: { axis: 'z', sign: -1 }
+};
+
+// Slices turn the same way as the face they follow
+const SLICE_AXES = {
+  M: { axis: 'x', sign: -1 },
+  E: { axis: 'y', sign: -1 },
+  S: { axis: 'z', sign: 1 }
+};
+
+// Rotations turn the same way as R, U and F
+const ROTATION_AXES = {
+  x: { axis: 'x', sign: 1 },
+  y: { axis: 'y', sign: 1 },
+  z: { axis: 'z', sign: 1 }
+};
+
+const WIDE_LOWERCASE = ['r', 'l', 'u', 'd', 'f', 'b'];
+
+function isDigit(char) {
+  return char >= '0' && char <= '9';
+}
+
+function isPrime(char) {
+  return char === "'" || char === '’' || char === '′';
+}
+
+// Reduce a quarter-turn count to 1, -1 or 2 (0 means no-op)
+function normalizeAmount(turns) {
+  const quarter = ((turns % 4) + 4) % 4;
+  return quarter === 3 ? -1 : quarter;
+}
+
+// Parse an algorithm string into a flat list of moves
+export function parseAlgorithm(algorithm) {
+  const source = String(algorithm);
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at position ${pos} in "${source}"`);
+  };
+
+  const readNumber = () => {
+    let digits = '';
+    while (pos < source.length && isDigit(source[pos])) {
+      digits += source[pos++];
+    }
+    return digits ? parseInt(digits, 10) : null;
+  };
+
+  // Trailing count and/or prime, e.g. 2, ', 2' or '2
+  const readSuffix = () => {
+    let count = readNumber();
+    let prime = false;
+    if (pos < source.length && isPrime(source[pos])) {
+      prime = true;
+      pos++;
+      if (count === null) count = readNumber();
+    }
+    return { count: count === null ? 1 : count, prime };
+  };
+
+  const readMove = () => {
+    const start = pos;
+    const prefix = readNumber();
+    const letter = source[pos];
+
+    if (!letter) fail('Expected a move');
+    pos++;
+
+    let face;
+    let wide = false;
+
+    if (FACE_AXES[letter]) {
+      face = letter;
+      if (source[pos] === 'w') {
+        wide = true;
+        pos++;
+      }
+    } else if (WIDE_LOWERCASE.includes(letter)) {
+      face = letter.toUpperCase();
+      wide = true;
+    } else if (SLICE_AXES[letter] || ROTATION_AXES[letter]) {
+      face = letter;
+      if (prefix !== null) {
+        pos = start;
+        fail(`"${letter}" cannot take a layer prefix`);
+      }
+    } else {
+      pos--;
+      fail(`Unknown move "${letter}"`);
+    }
+
+    if (prefix === 0) {
+      pos = start;
+      fail('Layer prefix must be at least 1');
+    }
+
+    const depth = prefix !== null ? prefix : (wide ? 2 : 1);
+    const { count, prime } = readSuffix();
+
+    return { face, amount: prime ? -count : count, depth, wide };
+  };
+
+  const readSequence = (closing) => {
+    const moves = [];
+
+    while (pos < source.length) {
+      const char = source[pos];
+
+      if (/\s/.test(char)) {
+        pos++;
+      } else if (char === '(') {
+        pos++;
+        const group = readSequence(')');
+        const { count, prime } = readSuffix();
+        const block = prime ? invertAlgorithm(group) : group;
+        for (let i = 0; i < count; i++) moves.push(...block);
+      } else if (char === ')') {
+        if (!closing) fail('Unmatched ")"');
+        pos++;
+        return moves;
+      } else {
+        const move = readMove();
+        const amount = move.amount === -2 ? -2 : normalizeAmount(move.amount);
+        if (amount !== 0) moves.push({ ...move, amount });
+      }
+    }
+
+    if (closing) fail('Missing ")"');
+    return moves;
+  };
+
+  return readSequence(null);
+}
+
+// Parse exactly one move, e.g. "R'" or "3Rw2"
+export function parseMove(token) {
+  const moves = parseAlgorithm(token);
+  if (moves.length !== 1) {
+    throw new Error(`Expected a single move, got "${token}"`);
+  }
+  return moves[0];
+}
+
+export function moveToString(move) {
+  let prefix = '';
+  let name = move.face;
+
+  if (move.wide) {
+    name += 'w';
+    if (move.depth !== 2) prefix = String(move.depth);
+  } else if (move.depth > 1) {
+    prefix = String(move.depth);
+  }
+
+  const suffix = {
+    1: '',
+    [-1]: "'",
+    2: '2',
+    [-2]: "2'"
+  }[move.amount];
+
+  return `${prefix}${name}${suffix}`;
+}
+
+export function algorithmToString(moves) {
+  return moves.map(moveToString).join(' ');
+}
+
+export function invertMove(move) {
+  // Half turns are their own inverse
+  return { ...move, amount: Math.abs(move.amount) === 2 ? move.amount : -move.amount };
+}
+
+export function invertAlgorithm(moves) {
+  return moves.map(invertMove).reverse();
+}
+
+// Turn a move into the layer rotation Cube and CubeState understand:
+// { axis, layers, direction } where direction is the number of quarter
+// turns about the positive axis (1, -1, 2 or -2)
+export function moveToRotation(move, size = 3) {
+  const outer = (size - 1) / 2;
+  const allLayers = Array.from({ length: size }, (_, i) => outer - i);
+
+  if (ROTATION_AXES[move.face]) {
+    const { axis, sign } = ROTATION_AXES[move.face];
+    return { axis, layers: allLayers, direction: -sign * move.amount };
+  }
+
+  if (SLICE_AXES[move.face]) {
+    const { axis, sign } = SLICE_AXES[move.face];
+    const layers = allLayers.filter(layer => Math.abs(layer) < outer);
+    if (layers.length === 0) {
+      throw new Error(`"${moveToString(move)}" needs a cube with middle layers`);
+    }
+    return { axis, layers, direction: -sign * move.amount };
+  }
+
+  const { axis, sign } = FACE_AXES[move.face];
+  if (move.depth > size) {
+    throw new Error(`"${moveToString(move)}" reaches past a ${size}x${size} cube`);
+  }
+
+  const layers = move.wide
+    ? allLayers.slice(0, move.depth).map(layer => sign * layer)
+    : [sign * (outer - (move.depth - 1))];
+
+  return { axis, layers, direction: -sign * move.amount };
+}
+
+// Describe a layer rotation in notation, e.g. for recording drag moves
+export function rotationToMove(axis, layers, direction, size = 3) {
+  const outer = (size - 1) / 2;
+  const amount = Math.abs(direction) === 2 ? 2 : direction;
+  const sorted = [...layers].sort((a, b) => b - a);
+
+  const positive = Object.keys(FACE_AXES).find(f => FACE_AXES[f].axis === axis && FACE_AXES[f].sign === 1);
+  const negative = Object.keys(FACE_AXES).find(f => FACE_AXES[f].axis === axis && FACE_AXES[f].sign === -1);
+  const turn = (face, sign, extra) => ({
+    face,
+    amount: amount === 2 ? 2 : -sign * amount,
+    depth: 1,
+    wide: false,
+    ...extra
+  });
+
+  if (sorted.length === size) {
+    const rotation = Object.keys(ROTATION_AXES).find(r => ROTATION_AXES[r].axis === axis);
+    return turn(rotation, 1);
+  }
+
+  const inner = sorted.filter(layer => Math.abs(layer) < outer);
+  if (inner.length === sorted.length && inner.length === size - 2) {
+    const slice = Object.keys(SLICE_AXES).find(s => SLICE_AXES[s].axis === axis);
+    return turn(slice, SLICE_AXES[slice].sign);
+  }
+
+  if (sorted.length === 1) {
+    const layer = sorted[0];
+    return layer > 0
+      ? turn(positive, 1, { depth: outer - layer + 1 })
+      : turn(negative, -1, { depth: outer + layer + 1 });
+  }
+
+  // Wide moves: a contiguous block starting at an outer layer
+  const contiguous = sorted.every((layer, i) => i === 0 || sorted[i - 1] - layer === 1);
+  if (contiguous && sorted[0] === outer) {
+    return turn(positive, 1, { depth: sorted.length, wide: true });
+  }
+  if (contiguous && sorted[sorted.length - 1] === -outer) {
+    return turn(negative, -1, { depth: sorted.length, wide: true });
+  }
+
+  throw new Error(`Layers ${layers.join(', ')} on ${axis} have no single-move notation`);
+}
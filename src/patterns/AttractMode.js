@@ -0,0 +1,92 @@
+import { PATTERNS } from './Patterns.js';
+
+// ms with no input before attract mode starts
+const IDLE_TIME = 60000;
+
+// ms each pattern stays up before the next
+const PATTERN_HOLD = 5000;
+
+// Shows off the cube while nobody is using it: after a while without
+// input it cycles through the patterns, and the moment there's input
+// again it stops and puts the cube back exactly as it was, undo history
+// and all. Patterns play through Cube.showPattern, so nothing unlocks.
+//
+// Call poke() on every input; it also starts the idle countdown.
+export class AttractMode {
+  constructor(cube, { idleTime = IDLE_TIME, hold = PATTERN_HOLD, patterns = PATTERNS } = {}) {
+    this.cube = cube;
+    this.idleTime = idleTime;
+    this.hold = hold;
+    this.patterns = patterns;
+
+    this.isActive = false;
+    this.index = 0; // Next pattern to show
+    this.savedState = null; // The cube as it was, to go back to
+    this.savedHistory = null; // And its undo/redo stacks (patterns clear them)
+    this.idleTimer = null;
+    this.holdTimer = null;
+
+    this.canStart = () => true; // Override to hold off, e.g. while a timer runs
+    this.onStart = null; // Callback when it starts
+    this.onStop = null; // Callback once the cube is back as it was
+  }
+
+  // There was input: stop showing patterns, and count down again
+  poke() {
+    if (this.isActive) this.stop();
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.start(), this.idleTime);
+  }
+
+  start() {
+    // Patterns are for a 3x3, and shouldn't cut into anything going on
+    const busy = this.cube.manualRotation || this.cube.moveQueue.isAnimating || this.cube.moveQueue.length > 0;
+    if (this.isActive || busy || this.cube.size !== 3 || !this.canStart()) {
+      this.poke();
+      return;
+    }
+
+    this.isActive = true;
+    this.savedState = this.cube.state.clone();
+    this.savedHistory = this.cube.history.snapshot();
+    if (this.onStart) this.onStart();
+    this.showNext();
+  }
+
+  async showNext() {
+    const pattern = this.patterns[this.index];
+    this.index = (this.index + 1) % this.patterns.length;
+
+    try {
+      await this.cube.showPattern(pattern);
+    } catch (err) {
+      console.error(`Couldn't show the ${pattern.name} pattern: ${err.message}`);
+    }
+    if (!this.isActive) return;
+
+    this.holdTimer = setTimeout(() => this.showNext(), this.hold);
+  }
+
+  async stop() {
+    this.isActive = false;
+    clearTimeout(this.holdTimer);
+    this.holdTimer = null;
+
+    const { savedState, savedHistory } = this;
+    this.savedState = null;
+    this.savedHistory = null;
+    this.cube.cancelMoves();
+
+    // History first, so a move made by the input that stopped us lands on
+    // top of it rather than being wiped
+    this.cube.history.restore(savedHistory);
+    try {
+      await this.cube.setState(savedState, { keepHistory: true });
+    } catch (err) {
+      console.error(`Couldn't put the cube back: ${err.message}`);
+    }
+
+    if (this.onStop) this.onStop();
+  }
+}
@@ -0,0 +1,46 @@
+import { PATTERNS } from './Patterns.js';
+
+// The pattern gallery (markup in index.html): one button per pattern, and
+// whether to play it out or jump straight to it
+export class PatternPanel {
+  constructor() {
+    this.element = document.getElementById('pattern-panel');
+    this.list = document.getElementById('pattern-list');
+    this.instantToggle = document.getElementById('pattern-instant');
+    this.onSelect = null; // Callback with the pattern clicked and { instant }
+
+    this.list?.replaceChildren(...PATTERNS.map((pattern) => {
+      const button = document.createElement('button');
+      button.className = 'ui-button';
+      button.textContent = pattern.name;
+      button.title = pattern.algorithm;
+      button.addEventListener('click', () => {
+        button.blur(); // Don't let Space press it again
+        this.onSelect?.(pattern, { instant: Boolean(this.instantToggle?.checked) });
+      });
+      return button;
+    }));
+
+    document.getElementById('pattern-close-btn')?.addEventListener('click', () => this.hide());
+  }
+
+  get isOpen() {
+    return Boolean(this.element && !this.element.classList.contains('hidden'));
+  }
+
+  show() {
+    this.element?.classList.remove('hidden');
+  }
+
+  hide() {
+    this.element?.classList.add('hidden');
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+}
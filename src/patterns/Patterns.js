@@ -0,0 +1,16 @@
+// Pretty patterns for a 3x3, each the algorithm that makes it from a
+// solved cube (see Cube.showPattern)
+export const PATTERNS = [
+  { id: 'checkerboard', name: 'Checkerboard', algorithm: 'M2 E2 S2' },
+  { id: 'superflip', name: 'Superflip', algorithm: "U R2 F B R B2 R U2 L B2 R U' D' R2 F R' L B2 U2 F2" },
+  { id: 'cube-in-cube', name: 'Cube in a cube', algorithm: "F L F U' R U F2 L2 U' L' B D' B' L2 U" },
+  { id: 'cube-in-cube-in-cube', name: 'Cube in a cube in a cube', algorithm: "U' L' U' F' R2 B' R F U B2 U B' L U' F U R F'" },
+  { id: 'six-spots', name: 'Six spots', algorithm: "U D' R L' F B' U D'" },
+  { id: 'four-spots', name: 'Four spots', algorithm: "F2 B2 U D' R2 L2 U D'" },
+  { id: 'cross', name: 'Cross', algorithm: "U F B' L2 U2 L2 F' B U2 L2 U" },
+  { id: 'stripes', name: 'Stripes', algorithm: "F U F R L2 B D' R D2 L D' B R2 L F U F" },
+  { id: 'tetris', name: 'Tetris', algorithm: "L R F B U' D' L' R'" },
+  { id: 'anaconda', name: 'Anaconda', algorithm: "L U B' U' R L' B R' F B' D R D' F'" },
+  { id: 'python', name: 'Python', algorithm: "F2 R' B' U R' L F' L F' B D' R B L2" },
+  { id: 'twister', name: 'Twister', algorithm: "F R' U L F' L' F U' R U L' U' L F'" }
+];
@@ -0,0 +1,61 @@
+import { SECTIONS } from '../utils/constants.js';
+
+// The legend as a collection (markup in index.html): each section shows as
+// unlocked (its face is solved now, or kept unlocked), earned (unlocked on
+// some earlier solve) or locked. Unlocked and earned sections open on click.
+export class ProgressPanel {
+  constructor(progress, { onOpen = null, onReset = null } = {}) {
+    this.progress = progress; // ProgressStore
+    this.onOpen = onOpen; // Called with a color when a section is picked
+    this.onReset = onReset; // Called after progress is reset
+    this.unlocked = new Set();
+
+    this.items = [...document.querySelectorAll('.legend-item[data-color]')];
+    this.summary = document.getElementById('progress-summary');
+
+    this.items.forEach(item => {
+      item.addEventListener('click', () => {
+        const { color } = item.dataset;
+        if ((this.unlocked.has(color) || this.progress.has(color)) && this.onOpen) {
+          this.onOpen(color);
+        }
+      });
+    });
+
+    document.getElementById('reset-progress-btn')?.addEventListener('click', (e) => {
+      e.currentTarget.blur();
+      if (!window.confirm('Forget every section you have unlocked?')) return;
+      this.progress.reset();
+      if (this.onReset) this.onReset();
+    });
+
+    this.progress.on('change', () => this.render());
+    this.render();
+  }
+
+  // unlocked: colors whose sections are open right now
+  render(unlocked = this.unlocked) {
+    this.unlocked = unlocked;
+
+    this.items.forEach(item => {
+      const { color } = item.dataset;
+      const entry = this.progress.get(color);
+      const isUnlocked = unlocked.has(color);
+
+      item.classList.toggle('unlocked', isUnlocked);
+      item.classList.toggle('earned', !isUnlocked && Boolean(entry));
+      item.classList.toggle('locked', !isUnlocked && !entry);
+
+      if (entry) {
+        const date = new Date(entry.unlockedAt).toLocaleDateString();
+        item.title = `${SECTIONS[color].name} - first unlocked ${date} in ${entry.moves} ${entry.moves === 1 ? 'move' : 'moves'}`;
+      } else {
+        item.title = `Solve the ${color} face to unlock ${SECTIONS[color].name}`;
+      }
+    });
+
+    if (this.summary) {
+      this.summary.textContent = `${this.progress.colors.length} / ${this.progress.total} unlocked`;
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import { SECTIONS } from '../utils/constants.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Which sections a visitor has earned, kept in localStorage across visits.
+// Stored as { version, sections: { [color]: { unlockedAt, moves } } }:
+// unlockedAt is when the section was first unlocked (an ISO string),
+// moves how many moves since the scramble it took.
+
+const STORAGE_KEY = 'cube-progress';
+
+// Bump when the stored shape changes, and teach load() to upgrade the
+// old shape rather than throwing progress away
+export const PROGRESS_VERSION = 1;
+
+// Events: 'change' when a section is earned or progress is reset
+export class ProgressStore extends EventEmitter {
+  constructor(storage = globalThis.localStorage) {
+    super();
+    this.storage = storage;
+    this.sections = {};
+    this.load();
+  }
+
+  has(color) {
+    return Boolean(this.sections[color]);
+  }
+
+  // { unlockedAt, moves } or null if not earned yet
+  get(color) {
+    return this.sections[color] ?? null;
+  }
+
+  // Colors earned so far, in SECTIONS order
+  get colors() {
+    return Object.keys(SECTIONS).filter(color => this.has(color));
+  }
+
+  get total() {
+    return Object.keys(SECTIONS).length;
+  }
+
+  // Record a section as earned. Only the first unlock counts; returns
+  // whether this was it
+  unlock(color, { moves = 0 } = {}) {
+    if (!SECTIONS[color] || this.has(color)) return false;
+
+    this.sections[color] = { unlockedAt: new Date().toISOString(), moves };
+    this.save();
+    return true;
+  }
+
+  reset() {
+    this.sections = {};
+    this.save();
+  }
+
+  toJSON() {
+    return { version: PROGRESS_VERSION, sections: this.sections };
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+      if (data?.version !== PROGRESS_VERSION || typeof data.sections !== 'object') {
+        this.sections = {};
+        return;
+      }
+
+      // Keep only sections that still exist
+      this.sections = Object.fromEntries(
+        Object.entries(data.sections).filter(([color, entry]) => SECTIONS[color] && entry?.unlockedAt)
+      );
+    } catch {
+      // Corrupt or unavailable storage - start with nothing earned
+      this.sections = {};
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch {
+      // Storage full or disabled (e.g. private browsing) - keep in memory
+    }
+
+    this.emit('change', this);
+  }
+}
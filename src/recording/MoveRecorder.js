@@ -0,0 +1,78 @@
+import { rotationToMove, moveToString } from '../notation/Notation.js';
+
+// Records what happens on the cube after a scramble: the starting state
+// plus every move with the time it finished, whichever way it was made
+// (keyboard, drag, algorithm, undo/redo or the solver).
+//
+// A recording is plain JSON:
+// {
+//   version: 1,
+//   size: 3,
+//   scramble: "R U2 ...",       // notation, for reference ('' if unknown)
+//   startState: {...},          // CubeState.toJSON() after the scramble
+//   moves: [{ t, axis, layers, direction, source, notation }],
+//   duration                    // ms from start to the last move
+// }
+// t is ms since the recording started. notation is null for layer
+// combinations that have no single-move name.
+
+export const RECORDING_VERSION = 1;
+
+// Moves that are part of the recording; scrambles start a new one and
+// replays are playing one back
+const RECORDED_SOURCES = ['user', 'solver', 'undo', 'redo'];
+
+export class MoveRecorder {
+  constructor(cube, now = () => performance.now()) {
+    this.cube = cube;
+    this.now = now;
+    this.startTime = 0;
+    this.scramble = '';
+    this.startState = null;
+    this.moves = [];
+  }
+
+  // Begin a new recording from the cube's current state
+  start({ scramble = '' } = {}) {
+    this.startTime = this.now();
+    this.scramble = scramble;
+    this.startState = this.cube.state.toJSON();
+    this.moves = [];
+  }
+
+  get isRecording() {
+    return this.startState !== null;
+  }
+
+  // Pass every finished move here (the cube's 'move:end' event)
+  record({ axis, layers, direction, source }) {
+    if (!this.isRecording || !RECORDED_SOURCES.includes(source)) return;
+
+    let notation = null;
+    try {
+      notation = moveToString(rotationToMove(axis, layers, direction, this.cube.size));
+    } catch {
+      // e.g. two separate inner layers at once
+    }
+
+    this.moves.push({
+      t: Math.round(this.now() - this.startTime),
+      axis,
+      layers: [...layers],
+      direction,
+      source,
+      notation
+    });
+  }
+
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      size: this.startState?.size ?? this.cube.size,
+      scramble: this.scramble,
+      startState: this.startState,
+      moves: this.moves.map(move => ({ ...move, layers: [...move.layers] })),
+      duration: this.moves.length ? this.moves[this.moves.length - 1].t : 0
+    };
+  }
+}
@@ -0,0 +1,177 @@
+import { CubeState } from '../cube/CubeState.js';
+import { RECORDING_VERSION } from './MoveRecorder.js';
+import { findStages } from '../detection/StageDetector.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Longest pause between two replayed moves, however long the gap was
+const MAX_PAUSE = 2000;
+
+// Roughly how long a recorded move spent animating (part of the gap
+// between timestamps, so not waited for again)
+const MOVE_TIME = 300;
+
+// Check a parsed recording (see MoveRecorder) and return it, or throw
+export function validateRecording(recording) {
+  if (!recording || recording.version !== RECORDING_VERSION) {
+    throw new Error('Not a cube recording, or from an unsupported version');
+  }
+  if (!recording.startState || !Array.isArray(recording.moves)) {
+    throw new Error('Recording is missing its start state or moves');
+  }
+
+  const state = CubeState.fromJSON(recording.startState);
+  recording.moves.forEach((move, i) => {
+    const valid = ['x', 'y', 'z'].includes(move.axis) &&
+      Array.isArray(move.layers) && move.layers.every(layer => state.layers.includes(layer)) &&
+      [1, -1, 2, -2].includes(move.direction) && Number.isFinite(move.t);
+    if (!valid) {
+      throw new Error(`Recording move ${i + 1} is not a valid move`);
+    }
+  });
+
+  return recording;
+}
+
+// Plays a recording back on the cube: play/pause, speed, stepping either
+// way and jumping to any point on the timeline. For a 3x3, stages holds
+// the CFOP milestones the recording reaches, timed on its own clock (see
+// StageDetector.findStages)
+//
+// Events: 'change' when position or play state changes
+export class ReplayPlayer extends EventEmitter {
+  constructor(cube) {
+    super();
+    this.cube = cube;
+    this.recording = null;
+    this.startState = null;
+    this.stages = [];
+    this.index = 0; // Moves applied so far
+    this.speed = 1;
+    this.isPlaying = false;
+    this.isBusy = false; // A step or seek is in progress
+    this.playToken = 0; // Bumped to abandon a playback loop
+  }
+
+  get length() {
+    return this.recording ? this.recording.moves.length : 0;
+  }
+
+  // Time on the recording's clock at the current position
+  get currentTime() {
+    return this.index > 0 ? this.recording.moves[this.index - 1].t : 0;
+  }
+
+  get duration() {
+    return this.recording ? this.recording.duration : 0;
+  }
+
+  // Load a recording and put the cube at its start
+  async load(recording) {
+    this.pause();
+    this.recording = validateRecording(recording);
+    this.startState = CubeState.fromJSON(recording.startState);
+    this.stages = findStages(this.startState, recording.moves);
+    await this.seek(0);
+  }
+
+  // Jump straight to the position after `index` moves
+  async seek(index) {
+    if (!this.recording) return;
+    this.pause();
+
+    this.isBusy = true;
+    // Moves still queued from playing would land on top of the new position
+    this.cube.cancelMoves();
+    const target = Math.max(0, Math.min(this.length, index));
+    const state = this.startState.clone();
+    this.recording.moves.slice(0, target).forEach(({ axis, layers, direction }) => {
+      state.applyMove(axis, layers, direction);
+    });
+
+    await this.cube.setState(state);
+    this.index = target;
+    this.isBusy = false;
+    this.notify();
+  }
+
+  async play() {
+    if (!this.recording || this.isPlaying) return;
+    if (this.index >= this.length) await this.seek(0);
+
+    this.isPlaying = true;
+    const token = ++this.playToken;
+    this.notify();
+
+    while (this.isPlaying && token === this.playToken && this.index < this.length) {
+      const { t } = this.recording.moves[this.index];
+      const gap = Math.min(t - this.currentTime, MAX_PAUSE) - MOVE_TIME;
+      if (gap > 0) {
+        await new Promise(resolve => setTimeout(resolve, gap / this.speed));
+      }
+      if (!this.isPlaying || token !== this.playToken) break;
+
+      // A step or seek already under way (Forward pressed just before
+      // Play) - give it time to finish rather than spin waiting for it
+      if (!(await this.stepForward())) {
+        await new Promise(resolve => setTimeout(resolve, MOVE_TIME / 10));
+      }
+    }
+
+    if (token === this.playToken) {
+      this.isPlaying = false;
+      this.notify();
+    }
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this.playToken++;
+    this.notify();
+  }
+
+  // Animate the next move. Resolves with whether there was one to play
+  // (false while another step or seek is under way)
+  async stepForward() {
+    if (this.isBusy || this.index >= this.length) return false;
+    this.isBusy = true;
+
+    const { axis, layers, direction } = this.recording.moves[this.index];
+    await this.cube.rotateLayers(axis, layers, direction, { source: 'replay', speed: this.speed });
+    this.index++;
+    this.isBusy = false;
+    this.notify();
+    return true;
+  }
+
+  // Animate the last move backwards
+  async stepBack() {
+    if (this.isBusy || this.index === 0) return;
+    this.pause();
+    this.isBusy = true;
+
+    const { axis, layers, direction } = this.recording.moves[this.index - 1];
+    await this.cube.rotateLayers(axis, layers, -direction, { source: 'replay', speed: this.speed });
+    this.index--;
+    this.isBusy = false;
+    this.notify();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    this.notify();
+  }
+
+  close() {
+    this.pause();
+    this.recording = null;
+    this.startState = null;
+    this.stages = [];
+    this.index = 0;
+    this.notify();
+  }
+
+  notify() {
+    this.emit('change', this);
+  }
+}
@@ -0,0 +1,85 @@
+import { algorithmToString } from '../notation/Notation.js';
+
+// Reproducible scrambles: the same seed always gives the same moves.
+// Rules (as in WCA scrambles):
+// - never turn the same face twice in a row (no R R' or R R2)
+// - moves on one axis commute, so a run on one axis never turns the same
+//   layer twice (no R L R, which is just R2 L)
+// - a 2x2 only turns R, U and F: opposite faces of a 2x2 make up the whole
+//   cube, so R L' is a cube rotation, not a scramble
+// - outerOnly: only outer face turns, so centers never move. Otherwise
+//   wide moves are mixed in (Rw, and 3Rw on 6x6 and up), which bigger
+//   cubes need to scramble their centers at all
+
+// Moves per scramble for each difficulty
+export const DIFFICULTIES = {
+  easy: 5,
+  medium: 12,
+  hard: 25
+};
+
+const FACES = ['R', 'L', 'U', 'D', 'F', 'B'];
+const TWO_BY_TWO_FACES = ['R', 'U', 'F'];
+const FACE_AXES = { R: 'x', L: 'x', U: 'y', D: 'y', F: 'z', B: 'z' };
+const AMOUNTS = [1, -1, 2];
+
+// mulberry32 - small, fast and good enough for shuffling moves.
+// Returns a function giving floats in [0, 1)
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Returns { seed, moves, text } - moves are parsed notation moves (see
+// Notation.js) and text is the scramble as a notation string
+export function generateScramble({
+  size = 3,
+  difficulty = 'hard',
+  length = DIFFICULTIES[difficulty],
+  seed = randomSeed(),
+  outerOnly = size <= 3
+} = {}) {
+  if (length === undefined) {
+    throw new Error(`Unknown scramble difficulty "${difficulty}"`);
+  }
+
+  // On a 2x2 a wide move is just a cube rotation
+  const maxDepth = outerOnly || size === 2 ? 1 : Math.max(2, Math.floor(size / 2));
+  const random = createRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const faces = size === 2 ? TWO_BY_TWO_FACES : FACES;
+
+  const moves = [];
+  let runAxis = null;
+  let runLayers = []; // Face+depth turned in the current same-axis run
+
+  while (moves.length < length) {
+    const face = pick(faces);
+    const depth = 1 + Math.floor(random() * maxDepth);
+    const layer = `${face}${depth}`;
+    const previous = moves[moves.length - 1];
+
+    if (previous && previous.face === face) continue;
+    if (FACE_AXES[face] === runAxis && runLayers.includes(layer)) continue;
+
+    if (FACE_AXES[face] !== runAxis) {
+      runAxis = FACE_AXES[face];
+      runLayers = [];
+    }
+    runLayers.push(layer);
+
+    moves.push({ face, amount: pick(AMOUNTS), depth, wide: depth > 1 });
+  }
+
+  return { seed, moves, text: algorithmToString(moves) };
+}
@@ -0,0 +1,208 @@
+// 3x3 cube at the piece level, the representation the solvers search on.
+// cp[i] / ep[i] say which corner / edge sits in slot i, co / eo how it is
+// twisted or flipped there (same layout as faceletsToCubies in Facelets.js).
+//
+// Corners: URF UFL ULB UBR DFR DLF DBL DRB
+// Edges:   UR UF UL UB DR DF DL DB FR FL BL BR
+
+export const FACE_LETTERS = 'URFDLB';
+
+// The six clockwise quarter turns as cubie cubes
+const BASIC_MOVES = [
+  { // U
+    cp: [3, 0, 1, 2, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // R
+    cp: [4, 1, 2, 0, 7, 5, 6, 3], co: [2, 0, 0, 1, 1, 0, 0, 2],
+    ep: [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // F
+    cp: [1, 5, 2, 3, 0, 4, 6, 7], co: [1, 2, 0, 0, 2, 1, 0, 0],
+    ep: [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11], eo: [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0]
+  },
+  { // D
+    cp: [0, 1, 2, 3, 5, 6, 7, 4], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // L
+    cp: [0, 2, 6, 3, 4, 1, 5, 7], co: [0, 1, 2, 0, 0, 2, 1, 0],
+    ep: [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // B
+    cp: [0, 1, 3, 7, 4, 5, 2, 6], co: [0, 0, 1, 2, 0, 0, 2, 1],
+    ep: [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7], eo: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1]
+  }
+];
+
+// Binomial coefficient, for the slice coordinate
+function choose(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = (result * (n - i)) / (i + 1);
+  }
+  return result;
+}
+
+// Rank of a permutation of 0..n-1 (identity = 0)
+function getPermutation(values) {
+  let index = 0;
+  for (let i = 0; i < values.length; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < values.length; j++) {
+      if (values[j] < values[i]) smaller++;
+    }
+    index = index * (values.length - i) + smaller;
+  }
+  return index;
+}
+
+function setPermutation(index, length) {
+  const digits = new Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    const base = length - i;
+    digits[i] = index % base;
+    index = Math.floor(index / base);
+  }
+  const available = Array.from({ length }, (_, i) => i);
+  return digits.map(d => available.splice(d, 1)[0]);
+}
+
+export class CubieCube {
+  constructor({ cp, co, ep, eo } = {}) {
+    this.cp = cp ? [...cp] : [0, 1, 2, 3, 4, 5, 6, 7];
+    this.co = co ? [...co] : new Array(8).fill(0);
+    this.ep = ep ? [...ep] : [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+    this.eo = eo ? [...eo] : new Array(12).fill(0);
+  }
+
+  clone() {
+    return new CubieCube(this);
+  }
+
+  // this = this * other (apply other's permutation after this one)
+  multiply(other) {
+    const cp = other.cp.map(slot => this.cp[slot]);
+    const co = other.cp.map((slot, i) => (this.co[slot] + other.co[i]) % 3);
+    const ep = other.ep.map(slot => this.ep[slot]);
+    const eo = other.ep.map((slot, i) => (this.eo[slot] + other.eo[i]) % 2);
+    Object.assign(this, { cp, co, ep, eo });
+    return this;
+  }
+
+  // move: 0-17, face * 3 + (quarter turns - 1), faces in URFDLB order
+  applyMove(move) {
+    const basic = BASIC_MOVES[Math.floor(move / 3)];
+    for (let i = 0; i <= move % 3; i++) {
+      this.multiply(basic);
+    }
+    return this;
+  }
+
+  isSolved() {
+    return this.cp.every((c, i) => c === i) && this.co.every(o => o === 0) &&
+      this.ep.every((e, i) => e === i) && this.eo.every(o => o === 0);
+  }
+
+  // Corner twist, 0-2186
+  getTwist() {
+    let twist = 0;
+    for (let i = 0; i < 7; i++) twist = twist * 3 + this.co[i];
+    return twist;
+  }
+
+  setTwist(twist) {
+    let sum = 0;
+    for (let i = 6; i >= 0; i--) {
+      this.co[i] = twist % 3;
+      sum += this.co[i];
+      twist = Math.floor(twist / 3);
+    }
+    this.co[7] = (3 - (sum % 3)) % 3;
+  }
+
+  // Edge flip, 0-2047
+  getFlip() {
+    let flip = 0;
+    for (let i = 0; i < 11; i++) flip = flip * 2 + this.eo[i];
+    return flip;
+  }
+
+  setFlip(flip) {
+    let sum = 0;
+    for (let i = 10; i >= 0; i--) {
+      this.eo[i] = flip % 2;
+      sum += this.eo[i];
+      flip = Math.floor(flip / 2);
+    }
+    this.eo[11] = sum % 2;
+  }
+
+  // Which 4 slots hold the middle-layer edges (FR FL BL BR), 0-494
+  getSlice() {
+    let slice = 0;
+    let found = 0;
+    for (let j = 11; j >= 0; j--) {
+      if (this.ep[j] >= 8) {
+        slice += choose(11 - j, found + 1);
+        found++;
+      }
+    }
+    return slice;
+  }
+
+  setSlice(slice) {
+    const sliceEdges = [8, 9, 10, 11];
+    const otherEdges = [0, 1, 2, 3, 4, 5, 6, 7];
+    this.ep = new Array(12).fill(-1);
+
+    let remaining = 4;
+    for (let j = 0; j < 12; j++) {
+      const c = choose(11 - j, remaining);
+      if (remaining > 0 && slice - c >= 0) {
+        this.ep[j] = sliceEdges[4 - remaining];
+        slice -= c;
+        remaining--;
+      }
+    }
+
+    let next = 0;
+    for (let j = 0; j < 12; j++) {
+      if (this.ep[j] === -1) this.ep[j] = otherEdges[next++];
+    }
+  }
+
+  // Corner permutation, 0-40319
+  getCornerPermutation() {
+    return getPermutation(this.cp);
+  }
+
+  setCornerPermutation(index) {
+    this.cp = setPermutation(index, 8);
+  }
+
+  // Permutation of the 8 U/D-layer edges, 0-40319 (only meaningful once
+  // the middle-layer edges are in the middle layer)
+  getUDEdgePermutation() {
+    return getPermutation(this.ep.slice(0, 8));
+  }
+
+  setUDEdgePermutation(index) {
+    this.ep = [...setPermutation(index, 8), 8, 9, 10, 11];
+  }
+
+  // Permutation of the middle-layer edges within the middle layer, 0-23
+  getSlicePermutation() {
+    return getPermutation(this.ep.slice(8).map(e => e - 8));
+  }
+
+  setSlicePermutation(index) {
+    this.ep = [0, 1, 2, 3, 4, 5, 6, 7, ...setPermutation(index, 4).map(e => e + 8)];
+  }
+}
+
+// Move index to notation, e.g. 4 -> "R2"
+export function moveName(move) {
+  return FACE_LETTERS[Math.floor(move / 3)] + ['', '2', "'"][move % 3];
+}
@@ -0,0 +1,30 @@
+import { COLOR_TO_LETTER } from '../cube/Facelets.js';
+import { parseAlgorithm } from '../notation/Notation.js';
+
+// Hints towards solving one section's face (3x3 only).
+// The path is searched afresh from the cube's current position each time,
+// so hints stay right whatever the visitor did since the last one.
+export class FaceHint {
+  constructor(cube, solver) {
+    this.cube = cube;
+    this.solver = solver; // SolverClient
+  }
+
+  // Shortest move list that makes the face with the `color` center
+  // (a SECTIONS key, e.g. 'green') a single color. Empty if it already is
+  async getPath(color) {
+    if (this.cube.size !== 3) {
+      throw new Error('Hints are only available on a 3x3');
+    }
+
+    await this.cube.whenIdle();
+    const solution = await this.solver.solveFace(this.cube.exportFacelets(), COLOR_TO_LETTER[color]);
+    return parseAlgorithm(solution);
+  }
+
+  // Just the next move of that path, or null if the face is done
+  async getNextMove(color) {
+    const path = await this.getPath(color);
+    return path[0] ?? null;
+  }
+}
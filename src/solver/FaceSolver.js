@@ -0,0 +1,214 @@
+import { CubieCube, moveName } from './CubieCube.js';
+import { CORNER_FACELETS, EDGE_FACELETS } from '../cube/Facelets.js';
+
+// Shortest way to make one face of a 3x3 a single color.
+//
+// Only where the target color's stickers are matters: its 4 corner
+// stickers and 4 edge stickers must all end up on the target face, in any
+// order. Each group of 4 is tracked as a set of sticker positions (one of
+// C(24, 4) = 10626), and a breadth-first distance table per group and
+// target face gives an admissible heuristic for an IDA* search over the
+// 18 face turns.
+
+const N_MOVES = 18;
+const N_STICKERS = 24; // Corner (or edge) sticker positions
+const N_SETS = 10626;  // 4-element subsets of those positions
+
+const LETTERS = 'URFDLB';
+
+let tables = null;
+const distanceCache = new Map(); // target face index -> { corners, edges }
+
+function choose(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = (result * (n - i)) / (i + 1);
+  }
+  return result;
+}
+
+// Rank of a sorted 4-element subset of 0..23
+function rankSet(set) {
+  let rank = 0;
+  for (let i = 0; i < 4; i++) rank += choose(set[i], i + 1);
+  return rank;
+}
+
+function unrankSet(rank) {
+  const set = new Array(4);
+  let n = N_STICKERS - 1;
+  for (let i = 3; i >= 0; i--) {
+    while (choose(n, i + 1) > rank) n--;
+    set[i] = n;
+    rank -= choose(n, i + 1);
+    n--;
+  }
+  return set;
+}
+
+// Where each corner/edge sticker position goes under each move.
+// Position index: slot * 3 + k for corners, slot * 2 + k for edges,
+// i.e. the k-th facelet of that slot in CORNER_FACELETS / EDGE_FACELETS
+function buildStickerMoves() {
+  const corners = [];
+  const edges = [];
+
+  for (let m = 0; m < N_MOVES; m++) {
+    const move = new CubieCube().applyMove(m);
+    const cornerMap = new Array(N_STICKERS);
+    const edgeMap = new Array(N_STICKERS);
+
+    // The piece from slot cp[i] lands in slot i, twisted by co[i]
+    for (let i = 0; i < 8; i++) {
+      for (let k = 0; k < 3; k++) {
+        cornerMap[move.cp[i] * 3 + k] = i * 3 + (k + move.co[i]) % 3;
+      }
+    }
+    for (let i = 0; i < 12; i++) {
+      for (let k = 0; k < 2; k++) {
+        edgeMap[move.ep[i] * 2 + k] = i * 2 + (k + move.eo[i]) % 2;
+      }
+    }
+
+    corners.push(cornerMap);
+    edges.push(edgeMap);
+  }
+
+  return { corners, edges };
+}
+
+// set rank x move -> set rank
+function buildSetMoveTable(stickerMoves) {
+  const table = new Uint16Array(N_SETS * N_MOVES);
+  for (let rank = 0; rank < N_SETS; rank++) {
+    const set = unrankSet(rank);
+    for (let m = 0; m < N_MOVES; m++) {
+      const moved = set.map(p => stickerMoves[m][p]).sort((a, b) => a - b);
+      table[rank * N_MOVES + m] = rankSet(moved);
+    }
+  }
+  return table;
+}
+
+function getTables() {
+  if (tables) return tables;
+
+  const stickerMoves = buildStickerMoves();
+  tables = {
+    cornerMove: buildSetMoveTable(stickerMoves.corners),
+    edgeMove: buildSetMoveTable(stickerMoves.edges)
+  };
+  return tables;
+}
+
+// Moves needed to bring each set of stickers onto the goal set
+function buildDistanceTable(moveTable, goal) {
+  const table = new Int8Array(N_SETS).fill(-1);
+  table[goal] = 0;
+
+  let frontier = [goal];
+  for (let depth = 0; frontier.length; depth++) {
+    const next = [];
+    for (const rank of frontier) {
+      for (let m = 0; m < N_MOVES; m++) {
+        const moved = moveTable[rank * N_MOVES + m];
+        if (table[moved] === -1) {
+          table[moved] = depth + 1;
+          next.push(moved);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return table;
+}
+
+// Sticker positions (as above) lying on the face with the given index
+function positionsOnFace(facelets, face, width) {
+  const positions = [];
+  facelets.forEach((slot, i) => {
+    slot.forEach((facelet, k) => {
+      if (Math.floor(facelet / 9) === face) positions.push(i * width + k);
+    });
+  });
+  return positions;
+}
+
+function getDistances(face) {
+  if (distanceCache.has(face)) return distanceCache.get(face);
+
+  const t = getTables();
+  const distances = {
+    corners: buildDistanceTable(t.cornerMove, rankSet(positionsOnFace(CORNER_FACELETS, face, 3))),
+    edges: buildDistanceTable(t.edgeMove, rankSet(positionsOnFace(EDGE_FACELETS, face, 2)))
+  };
+  distanceCache.set(face, distances);
+  return distances;
+}
+
+// Skip turning the same face twice in a row, and only allow opposite
+// faces in one order (U D, never D U)
+function isRedundant(face, lastFace) {
+  return face === lastFace || face === lastFace - 3;
+}
+
+// facelets: the cube as a 3x3 facelet string (see Facelets.js)
+// color: facelet letter of the color to gather, e.g. 'F' for green
+// The target face is wherever that color's center is.
+// Returns the shortest move sequence in notation ('' if already done)
+export function solveFace(facelets, color, { maxLength = 14 } = {}) {
+  if (typeof facelets !== 'string' || facelets.length !== 54) {
+    throw new Error('Face hints need a 3x3 facelet string');
+  }
+
+  const face = [4, 13, 22, 31, 40, 49].findIndex(i => facelets[i] === color);
+  if (face === -1) {
+    throw new Error(`No center has color ${color}`);
+  }
+
+  const find = (slots, width) => {
+    const positions = [];
+    slots.forEach((slot, i) => {
+      slot.forEach((facelet, k) => {
+        if (facelets[facelet] === color) positions.push(i * width + k);
+      });
+    });
+    if (positions.length !== 4) {
+      throw new Error(`Expected 4 ${color} stickers of each kind, found ${positions.length}`);
+    }
+    return rankSet(positions);
+  };
+
+  const t = getTables();
+  const { corners, edges } = getDistances(face);
+  const moves = [];
+
+  const search = (c, e, depth, lastFace) => {
+    const estimate = Math.max(corners[c], edges[e]);
+    if (estimate === 0) return true;
+    if (estimate > depth) return false;
+
+    for (let m = 0; m < N_MOVES; m++) {
+      const moveFace = Math.floor(m / 3);
+      if (isRedundant(moveFace, lastFace)) continue;
+
+      moves.push(m);
+      if (search(t.cornerMove[c * N_MOVES + m], t.edgeMove[e * N_MOVES + m], depth - 1, moveFace)) {
+        return true;
+      }
+      moves.pop();
+    }
+    return false;
+  };
+
+  const c = find(CORNER_FACELETS, 3);
+  const e = find(EDGE_FACELETS, 2);
+
+  for (let depth = 0; depth <= maxLength; depth++) {
+    if (search(c, e, depth, -1)) {
+      return moves.map(moveName).join(' ');
+    }
+  }
+  throw new Error(`No way to solve the ${LETTERS[face]} face within ${maxLength} moves`);
+}
@@ -0,0 +1,64 @@
+// Main-thread handle on SolverWorker. The worker (and its tables) is only
+// created on first use, or when warmUp() is called.
+export class SolverClient {
+  constructor() {
+    this.worker = null;
+    this.pending = new Map(); // id -> { resolve, reject }
+    this.nextId = 0;
+  }
+
+  // Start the worker so the tables are ready before the first solve
+  warmUp() {
+    if (this.worker) return;
+
+    this.worker = new Worker(new URL('./SolverWorker.js', import.meta.url), { type: 'module' });
+
+    this.worker.onmessage = (event) => {
+      const { id, solution, error } = event.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+
+      this.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(solution);
+      }
+    };
+
+    this.worker.onerror = (event) => {
+      const err = new Error(`Solver failed: ${event.message}`);
+      this.pending.forEach(request => request.reject(err));
+      this.pending.clear();
+    };
+  }
+
+  // Solve a 3x3 facelet string. Resolves with the solution in notation
+  // options: { maxLength, timeLimit } (see TwoPhase.solve)
+  solve(facelets, options = {}) {
+    return this.request({ type: 'solve', facelets, options });
+  }
+
+  // Shortest way to make the face with the `color` center (a facelet
+  // letter) all one color (see FaceSolver.solveFace)
+  solveFace(facelets, color, options = {}) {
+    return this.request({ type: 'face', facelets, color, options });
+  }
+
+  request(message) {
+    this.warmUp();
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, ...message });
+    });
+  }
+
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.pending.forEach(request => request.reject(new Error('Solver was disposed')));
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,23 @@
+import { solve, getTables } from './TwoPhase.js';
+import { solveFace } from './FaceSolver.js';
+
+// Runs the solvers off the main thread so the render loop never stalls.
+// Messages in: { id, type: 'solve', facelets, options } for a full solve,
+// or { id, type: 'face', facelets, color, options } for one face.
+// Messages out: { id, solution } or { id, error }.
+
+// Build the tables straight away; requests queue up behind this
+getTables();
+
+self.onmessage = (event) => {
+  const { id, type, facelets, color, options } = event.data;
+
+  try {
+    const solution = type === 'face'
+      ? solveFace(facelets, color, options)
+      : solve(facelets, options);
+    self.postMessage({ id, solution });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,224 @@
+import { CubieCube, moveName } from './CubieCube.js';
+import { faceletsToCubies } from '../cube/Facelets.js';
+
+// Kociemba's two-phase algorithm.
+// Phase 1 brings the cube into the subgroup <U, D, R2, F2, L2, B2> (corners
+// and edges oriented, middle-layer edges in the middle layer); phase 2
+// solves it using only those moves. Both phases are IDA* searches over
+// small coordinates with precomputed move and pruning tables.
+//
+// Building the tables takes a moment and several MB, so call this from
+// SolverWorker rather than the main thread.
+
+const N_TWIST = 2187;
+const N_FLIP = 2048;
+const N_SLICE = 495;
+const N_PERM8 = 40320;
+const N_SLICE_PERM = 24;
+const N_MOVES = 18;
+
+const ALL_MOVES = Array.from({ length: N_MOVES }, (_, i) => i);
+// U, U2, U', R2, F2, D, D2, D', L2, B2
+const PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+let tables = null;
+
+// coordinate x move -> coordinate
+function buildMoveTable(size, set, get) {
+  const table = new Uint16Array(size * N_MOVES);
+  const cube = new CubieCube();
+
+  for (let i = 0; i < size; i++) {
+    for (let face = 0; face < 6; face++) {
+      set(cube, i);
+      for (let power = 0; power < 3; power++) {
+        cube.applyMove(face * 3);
+        table[i * N_MOVES + face * 3 + power] = get(cube);
+      }
+    }
+  }
+  return table;
+}
+
+// Breadth-first distances to solved for a pair of coordinates
+function buildPruneTable(size1, size2, move1, move2, moves) {
+  const total = size1 * size2;
+  const table = new Int8Array(total).fill(-1);
+  table[0] = 0;
+
+  let filled = 1;
+  for (let depth = 0; filled < total; depth++) {
+    const before = filled;
+
+    for (let i = 0; i < total; i++) {
+      if (table[i] !== depth) continue;
+
+      const c1 = Math.floor(i / size2);
+      const c2 = i % size2;
+      for (const m of moves) {
+        const next = move1[c1 * N_MOVES + m] * size2 + move2[c2 * N_MOVES + m];
+        if (table[next] === -1) {
+          table[next] = depth + 1;
+          filled++;
+        }
+      }
+    }
+
+    if (filled === before) break;
+  }
+  return table;
+}
+
+// Build (once) and return every table
+export function getTables() {
+  if (tables) return tables;
+
+  const twistMove = buildMoveTable(N_TWIST, (c, i) => c.setTwist(i), c => c.getTwist());
+  const flipMove = buildMoveTable(N_FLIP, (c, i) => c.setFlip(i), c => c.getFlip());
+  const sliceMove = buildMoveTable(N_SLICE, (c, i) => c.setSlice(i), c => c.getSlice());
+  const cornerMove = buildMoveTable(N_PERM8,
+    (c, i) => c.setCornerPermutation(i), c => c.getCornerPermutation());
+  const edgeMove = buildMoveTable(N_PERM8,
+    (c, i) => c.setUDEdgePermutation(i), c => c.getUDEdgePermutation());
+  const slicePermMove = buildMoveTable(N_SLICE_PERM,
+    (c, i) => c.setSlicePermutation(i), c => c.getSlicePermutation());
+
+  tables = {
+    twistMove,
+    flipMove,
+    sliceMove,
+    cornerMove,
+    edgeMove,
+    slicePermMove,
+    sliceTwistPrune: buildPruneTable(N_SLICE, N_TWIST, sliceMove, twistMove, ALL_MOVES),
+    sliceFlipPrune: buildPruneTable(N_SLICE, N_FLIP, sliceMove, flipMove, ALL_MOVES),
+    cornerSlicePrune: buildPruneTable(N_PERM8, N_SLICE_PERM, cornerMove, slicePermMove, PHASE2_MOVES),
+    edgeSlicePrune: buildPruneTable(N_PERM8, N_SLICE_PERM, edgeMove, slicePermMove, PHASE2_MOVES)
+  };
+  return tables;
+}
+
+// Skip turning the same face twice in a row, and only allow opposite
+// faces in one order (U D, never D U)
+function isRedundant(face, lastFace) {
+  return face === lastFace || face === lastFace - 3;
+}
+
+// Solve a 3x3 given as a facelet string (see Facelets.js).
+// Keeps looking for shorter solutions until timeLimit ms have passed.
+// Returns the solution in notation, e.g. "R U2 F' ..." ('' if solved)
+export function solve(facelets, { maxLength = 24, timeLimit = 1000 } = {}) {
+  const start = new CubieCube(faceletsToCubies(facelets));
+  if (start.isSolved()) return '';
+
+  const t = getTables();
+  const startTime = Date.now();
+  const phase1Moves = [];
+  const phase2Moves = [];
+  let best = null;
+  let nodes = 0;
+
+  const outOfTime = () => best !== null && Date.now() - startTime > timeLimit;
+
+  const searchPhase2 = (corner, edge, slicePerm, depth, lastFace) => {
+    if (depth === 0) {
+      return corner === 0 && edge === 0 && slicePerm === 0;
+    }
+
+    const estimate = Math.max(
+      t.cornerSlicePrune[corner * N_SLICE_PERM + slicePerm],
+      t.edgeSlicePrune[edge * N_SLICE_PERM + slicePerm]
+    );
+    if (estimate > depth) return false;
+
+    for (const m of PHASE2_MOVES) {
+      const face = Math.floor(m / 3);
+      if (isRedundant(face, lastFace)) continue;
+
+      phase2Moves.push(m);
+      if (searchPhase2(
+        t.cornerMove[corner * N_MOVES + m],
+        t.edgeMove[edge * N_MOVES + m],
+        t.slicePermMove[slicePerm * N_MOVES + m],
+        depth - 1,
+        face
+      )) {
+        return true;
+      }
+      phase2Moves.pop();
+    }
+    return false;
+  };
+
+  // Phase 1 reached the subgroup - try to finish within the current best
+  const tryPhase2 = () => {
+    const cube = start.clone();
+    phase1Moves.forEach(m => cube.applyMove(m));
+
+    const corner = cube.getCornerPermutation();
+    const edge = cube.getUDEdgePermutation();
+    const slicePerm = cube.getSlicePermutation();
+    const lastFace = phase1Moves.length ? Math.floor(phase1Moves[phase1Moves.length - 1] / 3) : -1;
+
+    const limit = (best ? best.length - 1 : maxLength) - phase1Moves.length;
+    for (let depth = 0; depth <= limit; depth++) {
+      phase2Moves.length = 0;
+      if (searchPhase2(corner, edge, slicePerm, depth, lastFace)) {
+        best = [...phase1Moves, ...phase2Moves];
+        return;
+      }
+    }
+  };
+
+  const searchPhase1 = (twist, flip, slice, depth, lastFace) => {
+    if ((++nodes & 0x3ff) === 0 && outOfTime()) return true;
+
+    if (depth === 0) {
+      if (twist === 0 && flip === 0 && slice === 0) {
+        // Ending on a phase 2 move means a shorter phase 1 already got here
+        const last = phase1Moves[phase1Moves.length - 1];
+        if (last === undefined || !PHASE2_MOVES.includes(last)) {
+          tryPhase2();
+        }
+      }
+      return false;
+    }
+
+    const estimate = Math.max(
+      t.sliceTwistPrune[slice * N_TWIST + twist],
+      t.sliceFlipPrune[slice * N_FLIP + flip]
+    );
+    if (estimate > depth) return false;
+
+    for (let m = 0; m < N_MOVES; m++) {
+      const face = Math.floor(m / 3);
+      if (isRedundant(face, lastFace)) continue;
+
+      phase1Moves.push(m);
+      const stop = searchPhase1(
+        t.twistMove[twist * N_MOVES + m],
+        t.flipMove[flip * N_MOVES + m],
+        t.sliceMove[slice * N_MOVES + m],
+        depth - 1,
+        face
+      );
+      phase1Moves.pop();
+      if (stop) return true;
+    }
+    return false;
+  };
+
+  const twist = start.getTwist();
+  const flip = start.getFlip();
+  const slice = start.getSlice();
+
+  for (let depth = 0; depth <= maxLength; depth++) {
+    if (best && depth >= best.length) break;
+    if (searchPhase1(twist, flip, slice, depth, -1)) break;
+  }
+
+  if (!best) {
+    throw new Error(`No solution found within ${maxLength} moves`);
+  }
+  return best.map(moveName).join(' ');
+}
@@ -0,0 +1,138 @@
+// Solve times for the current session, kept in localStorage.
+// A solve is { time, penalty, scramble, date }: time in ms as timed,
+// penalty null, '+2' or 'DNF', date as an ISO string.
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+const STORAGE_KEY = 'cube-timer-session';
+
+// Averages as WCA and most timers do them: drop the best and worst 5%
+// (at least one each), and a DNF counts as the worst time
+export const AVERAGES = [5, 12, 100];
+
+export function formatTime(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms === Infinity) return 'DNF';
+
+  const totalCentis = Math.round(ms / 10);
+  const minutes = Math.floor(totalCentis / 6000);
+  const seconds = Math.floor(totalCentis / 100) % 60;
+  const centis = String(totalCentis % 100).padStart(2, '0');
+
+  return minutes > 0
+    ? `${minutes}:${String(seconds).padStart(2, '0')}.${centis}`
+    : `${seconds}.${centis}`;
+}
+
+// Time that counts for a solve: +2 adds two seconds, a DNF is Infinity
+export function finalTime(solve) {
+  if (solve.penalty === 'DNF') return Infinity;
+  return solve.penalty === '+2' ? solve.time + 2000 : solve.time;
+}
+
+// Events: 'change' when solves are added, changed or removed
+export class SessionStats extends EventEmitter {
+  constructor(storage = globalThis.localStorage) {
+    super();
+    this.storage = storage;
+    this.solves = [];
+    this.load();
+  }
+
+  add({ time, penalty = null, scramble = '' }) {
+    this.solves.push({ time, penalty, scramble, date: new Date().toISOString() });
+    this.save();
+  }
+
+  // penalty: null, '+2' or 'DNF'
+  setPenalty(index, penalty) {
+    const solve = this.solves[index];
+    if (!solve) return;
+    solve.penalty = penalty;
+    this.save();
+  }
+
+  remove(index) {
+    this.solves.splice(index, 1);
+    this.save();
+  }
+
+  clear() {
+    this.solves = [];
+    this.save();
+  }
+
+  get last() {
+    return this.solves[this.solves.length - 1] ?? null;
+  }
+
+  best() {
+    if (this.solves.length === 0) return null;
+    return Math.min(...this.solves.map(finalTime));
+  }
+
+  // Mean of every finished solve (DNFs left out)
+  mean() {
+    const times = this.solves.map(finalTime).filter(time => time !== Infinity);
+    if (times.length === 0) return null;
+    return times.reduce((sum, time) => sum + time, 0) / times.length;
+  }
+
+  // Average of the last `count` solves, or null if there aren't enough
+  average(count) {
+    if (this.solves.length < count) return null;
+
+    const trim = Math.ceil(count * 0.05);
+    const times = this.solves.slice(-count).map(finalTime).sort((a, b) => a - b);
+    const counted = times.slice(trim, count - trim);
+
+    // More DNFs than can be dropped makes the whole average a DNF
+    if (counted.includes(Infinity)) return Infinity;
+    return counted.reduce((sum, time) => sum + time, 0) / counted.length;
+  }
+
+  // { count, best, mean, ao5, ao12, ao100 } - times in ms, null if n/a
+  getStats() {
+    const stats = { count: this.solves.length, best: this.best(), mean: this.mean() };
+    AVERAGES.forEach(count => {
+      stats[`ao${count}`] = this.average(count);
+    });
+    return stats;
+  }
+
+  toCSV() {
+    const rows = this.solves.map((solve, i) => [
+      i + 1,
+      (solve.time / 1000).toFixed(2),
+      solve.penalty ?? '',
+      formatTime(finalTime(solve)),
+      `"${solve.scramble.replace(/"/g, '""')}"`,
+      solve.date
+    ].join(','));
+    return ['No.,Time,Penalty,Result,Scramble,Date', ...rows].join('\n');
+  }
+
+  toJSON() {
+    return { version: 1, solves: this.solves };
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+      this.solves = Array.isArray(data?.solves) ? data.solves : [];
+    } catch {
+      // Corrupt or unavailable storage - start a fresh session
+      this.solves = [];
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch {
+      // Storage full or disabled (e.g. private browsing) - keep in memory
+    }
+
+    this.emit('change', this);
+  }
+}
@@ -0,0 +1,75 @@
+// WCA-style solve timer: 15 seconds of inspection, timing starts with the
+// first move and stops when the cube is solved.
+// Going over inspection costs +2, more than 2 seconds over is a DNF.
+//
+// States: 'idle' -> 'inspecting' -> 'running' -> 'stopped'
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+export const INSPECTION_TIME = 15000;
+const INSPECTION_GRACE = 2000;
+
+// Events: 'change' when the state changes
+export class SolveTimer extends EventEmitter {
+  constructor(now = () => performance.now()) {
+    super();
+    this.now = now;
+    this.state = 'idle';
+    this.inspectionStart = 0;
+    this.startTime = 0;
+    this.endTime = 0;
+    this.penalty = null; // From inspection: null, '+2' or 'DNF'
+  }
+
+  startInspection() {
+    this.inspectionStart = this.now();
+    this.penalty = null;
+    this.setState('inspecting');
+  }
+
+  // First move of the solve
+  start() {
+    if (this.state !== 'inspecting') return;
+
+    const inspection = this.now() - this.inspectionStart;
+    if (inspection > INSPECTION_TIME + INSPECTION_GRACE) {
+      this.penalty = 'DNF';
+    } else if (inspection > INSPECTION_TIME) {
+      this.penalty = '+2';
+    }
+
+    this.startTime = this.now();
+    this.setState('running');
+  }
+
+  // Cube solved. Returns { time, penalty }, or null if nothing was running
+  stop() {
+    if (this.state !== 'running') return null;
+
+    this.endTime = this.now();
+    this.setState('stopped');
+    return { time: this.elapsed, penalty: this.penalty };
+  }
+
+  // Abandon the current attempt without recording it
+  cancel() {
+    this.setState('idle');
+  }
+
+  // ms of inspection left (negative once over)
+  get inspectionRemaining() {
+    return INSPECTION_TIME - (this.now() - this.inspectionStart);
+  }
+
+  // ms solved so far, or the final time once stopped
+  get elapsed() {
+    if (this.state === 'running') return this.now() - this.startTime;
+    if (this.state === 'stopped') return this.endTime - this.startTime;
+    return 0;
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit('change', this);
+  }
+}
@@ -0,0 +1,149 @@
+import { formatTime, finalTime, AVERAGES } from './SessionStats.js';
+import { download } from '../utils/download.js';
+
+const RECENT_SOLVES = 12;
+
+// The timer mode UI (markup in index.html): clock, split times for each
+// stage of the solve, penalties for the last solve, session statistics
+// and export
+export class TimerPanel {
+  constructor(timer, stats) {
+    this.timer = timer; // SolveTimer
+    this.stats = stats; // SessionStats
+
+    this.element = document.getElementById('timer-panel');
+    this.display = document.getElementById('timer-display');
+    this.status = document.getElementById('timer-status');
+    this.splitsList = document.getElementById('timer-splits');
+    this.statsList = document.getElementById('timer-stats');
+    this.solvesList = document.getElementById('timer-solves');
+    this.penaltyButtons = {
+      none: document.getElementById('penalty-ok-btn'),
+      '+2': document.getElementById('penalty-plus2-btn'),
+      DNF: document.getElementById('penalty-dnf-btn')
+    };
+
+    Object.entries(this.penaltyButtons).forEach(([penalty, button]) => {
+      button?.addEventListener('click', () => {
+        this.stats.setPenalty(this.stats.solves.length - 1, penalty === 'none' ? null : penalty);
+      });
+    });
+
+    document.getElementById('export-csv-btn')?.addEventListener('click', () => {
+      download('cube-session.csv', this.stats.toCSV(), 'text/csv');
+    });
+    document.getElementById('export-json-btn')?.addEventListener('click', () => {
+      download('cube-session.json', JSON.stringify(this.stats, null, 2), 'application/json');
+    });
+    document.getElementById('clear-session-btn')?.addEventListener('click', () => {
+      if (window.confirm('Delete every solve in this session?')) this.stats.clear();
+    });
+
+    // Splits of the attempt in progress (or just finished): { label, time }
+    this.splits = [];
+
+    this.timer.on('change', () => {
+      if (this.timer.state === 'inspecting') this.splits = [];
+      this.render();
+    });
+    this.stats.on('change', () => this.render());
+    this.render();
+  }
+
+  show() {
+    this.element?.classList.remove('hidden');
+    this.render();
+  }
+
+  hide() {
+    this.element?.classList.add('hidden');
+  }
+
+  // A stage of the solve done, time ms into it
+  addSplit(label, time) {
+    this.splits.push({ label, time });
+    this.render();
+  }
+
+  // Called every frame to keep the clock running
+  update() {
+    if (!this.display) return;
+
+    const { state } = this.timer;
+    if (state === 'inspecting') {
+      const remaining = this.timer.inspectionRemaining;
+      if (remaining > 0) {
+        this.display.textContent = String(Math.ceil(remaining / 1000));
+      } else {
+        this.display.textContent = remaining > -2000 ? '+2' : 'DNF';
+      }
+    } else if (state === 'running') {
+      this.display.textContent = formatTime(this.timer.elapsed);
+    }
+  }
+
+  render() {
+    const { state } = this.timer;
+    const last = this.stats.last;
+
+    if (this.status) {
+      this.status.textContent = {
+        idle: 'Scramble to start',
+        inspecting: 'Inspecting - first move starts the clock',
+        running: 'Solving...',
+        stopped: 'Solved! Scramble for the next one'
+      }[state];
+    }
+
+    if (this.display && (state === 'idle' || state === 'stopped')) {
+      this.display.textContent = state === 'stopped' && last ? formatTime(finalTime(last)) : '0.00';
+    }
+    this.display?.classList.toggle('inspecting', state === 'inspecting');
+
+    // Penalties apply to the solve just finished
+    Object.entries(this.penaltyButtons).forEach(([penalty, button]) => {
+      if (!button) return;
+      button.disabled = state !== 'stopped' || !last;
+      button.classList.toggle('active', !!last && (last.penalty ?? 'none') === penalty);
+    });
+
+    if (this.splitsList) {
+      this.splitsList.replaceChildren(...this.splits.flatMap(({ label, time }) => {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = label;
+        dd.textContent = formatTime(time);
+        return [dt, dd];
+      }));
+    }
+
+    if (this.statsList) {
+      const stats = this.stats.getStats();
+      const rows = [
+        ['Solves', String(stats.count)],
+        ['Best', formatTime(stats.best)],
+        ['Mean', formatTime(stats.mean)],
+        ...AVERAGES.map(count => [`ao${count}`, formatTime(stats[`ao${count}`])])
+      ];
+      this.statsList.replaceChildren(...rows.flatMap(([label, value]) => {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = label;
+        dd.textContent = value;
+        return [dt, dd];
+      }));
+    }
+
+    if (this.solvesList) {
+      const { solves } = this.stats;
+      const recent = solves.slice(-RECENT_SOLVES).reverse();
+      this.solvesList.replaceChildren(...recent.map((solve, i) => {
+        const item = document.createElement('li');
+        const suffix = solve.penalty === '+2' ? '+' : '';
+        item.textContent = `${solves.length - i}. ${formatTime(finalTime(solve))}${suffix}`;
+        item.title = solve.scramble;
+        return item;
+      }));
+    }
+  }
+}
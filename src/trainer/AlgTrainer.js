@@ -0,0 +1,144 @@
+import { CubeState } from '../cube/CubeState.js';
+import { parseAlgorithm, invertAlgorithm, algorithmToString } from '../notation/Notation.js';
+import { PLL_CASES } from '../detection/LastLayerCases.js';
+import {
+  applyAlgorithm, isCrossSolved, getSolvedPairs, isLastLayerOriented
+} from '../detection/StageDetector.js';
+import { CASE_SETS } from './CaseStats.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Turns of the last layer, to show a case from any of its four angles
+const AUFS = ['', 'U', 'U2', "U'"];
+
+const RECENT_RESULTS = 12;
+
+function inverse(algorithm) {
+  return algorithmToString(invertAlgorithm(parseAlgorithm(algorithm)));
+}
+
+// Drills OLL or PLL cases on a 3x3: sets the cube to a case (its algorithm
+// run backwards on a solved cube, turned to a random angle), times it from
+// the first move until the case is solved - last layer oriented with the
+// first two layers intact for OLL, the whole cube for PLL - and records
+// each attempt in CaseStats, which decides what comes next.
+//
+// States: 'idle' -> 'ready' (case set up) -> 'running' -> 'done'
+//
+// Events: 'change' when the state changes
+export class AlgTrainer extends EventEmitter {
+  constructor(cube, stats, { now = () => performance.now(), random = Math.random } = {}) {
+    super();
+    this.cube = cube;
+    this.stats = stats; // CaseStats
+    this.now = now;
+    this.random = random;
+
+    this.set = 'oll'; // Or 'pll'
+    this.state = 'idle';
+    this.current = null; // { set, case, crossColor, startTime, moves }
+    this.results = []; // Latest first: { set, case, solved, time, moves }
+
+    this.cube.on('move:end', (move) => this.onMove(move));
+  }
+
+  get isAttempting() {
+    return this.state === 'ready' || this.state === 'running';
+  }
+
+  // ms into the attempt, or the last result's time once done
+  get elapsed() {
+    if (this.state === 'running') return this.now() - this.current.startTime;
+    if (this.state === 'done') return this.results[0]?.time ?? null;
+    return 0;
+  }
+
+  // Practise OLL or PLL. Drops the attempt in progress without recording it
+  setCaseSet(set) {
+    if (!CASE_SETS[set]) throw new Error(`Unknown case set: ${set}`);
+    this.set = set;
+    this.stop();
+  }
+
+  // Set up the next case. One still being attempted counts as skipped
+  async next() {
+    if (this.isAttempting) this.skip();
+
+    const id = this.stats.pickNext(this.set, this.current?.case.id);
+    if (!id) {
+      this.stop();
+      return;
+    }
+
+    const set = this.set;
+    const trainerCase = CASE_SETS[set].find(c => c.id === id);
+    const pick = (list) => list[Math.floor(this.random() * list.length)];
+
+    // For OLL the last layer is permuted any old way, as in a real solve
+    const state = new CubeState(3);
+    if (set === 'oll') applyAlgorithm(state, inverse(pick([{ algorithm: '' }, ...PLL_CASES]).algorithm));
+    applyAlgorithm(state, pick(AUFS));
+    applyAlgorithm(state, inverse(trainerCase.algorithm));
+    applyAlgorithm(state, pick(AUFS));
+
+    this.cube.cancelMoves();
+    await this.cube.setState(state);
+
+    this.current = {
+      set,
+      case: trainerCase,
+      crossColor: state.getFaceOrientation().down,
+      startTime: null,
+      moves: 0
+    };
+    this.setState('ready');
+  }
+
+  // Give up on the case in progress
+  skip() {
+    if (this.isAttempting) this.finish(false);
+  }
+
+  // Leave the trainer, or drop the attempt in progress without recording it
+  stop() {
+    this.current = null;
+    this.setState('idle');
+  }
+
+  onMove({ source, layers }) {
+    if (!this.isAttempting || source !== 'user') return;
+
+    if (this.state === 'ready') {
+      this.current.startTime = this.now();
+      this.setState('running');
+    }
+    if (layers.length < this.cube.size) this.current.moves++;
+
+    if (this.isCaseSolved()) this.finish(true);
+  }
+
+  isCaseSolved() {
+    const { state } = this.cube;
+    if (this.current.set === 'pll') return state.isSolved();
+
+    // Cube rotations are fine, so find where the cross has got to
+    const centers = state.getFaceOrientation();
+    const face = Object.keys(centers).find(name => centers[name] === this.current.crossColor);
+    return isCrossSolved(state, face, centers) &&
+      getSolvedPairs(state, face, centers).length === 4 &&
+      isLastLayerOriented(state, face);
+  }
+
+  finish(solved) {
+    const { set, case: trainerCase, startTime, moves } = this.current;
+    const time = solved ? this.now() - startTime : null;
+
+    this.stats.record(set, trainerCase.id, { solved, time });
+    this.results = [{ set, case: trainerCase, solved, time, moves }, ...this.results].slice(0, RECENT_RESULTS);
+    this.setState('done');
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit('change', this);
+  }
+}
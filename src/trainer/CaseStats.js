@@ -0,0 +1,141 @@
+import { OLL_CASES, PLL_CASES } from '../detection/LastLayerCases.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// How practice of each last-layer case has gone, kept in localStorage, and
+// the spaced repetition that picks which case comes next.
+// Stored as { version, drills, cases, selected }: drills counts every
+// attempt ever made, cases maps 'oll:27' style keys to
+// { attempts, fails, best, recent, box, due }, and selected lists the case
+// ids being practised in each set.
+//
+// Scheduling is by Leitner boxes counted in attempts: a case solved
+// within its target time moves up a box and waits twice as long as
+// before to come round again (2, 4, ... 32 attempts); a slow solve stays
+// in its box, and a skipped one drops back to the first box to come
+// round again soon. Cases never tried come first, then whichever is due
+// soonest.
+
+const STORAGE_KEY = 'cube-trainer';
+
+export const TRAINER_VERSION = 1;
+
+export const CASE_SETS = { oll: OLL_CASES, pll: PLL_CASES };
+
+// ms to recognise and run a case in to count as known
+export const TARGET_TIMES = { oll: 3000, pll: 4000 };
+
+const MAX_BOX = 5;
+const RECENT_TIMES = 5;
+
+function allIds(set) {
+  return CASE_SETS[set].map(({ id }) => id);
+}
+
+// Events: 'change' when an attempt is recorded, the selection changes or stats are reset
+export class CaseStats extends EventEmitter {
+  constructor(storage = globalThis.localStorage, random = Math.random) {
+    super();
+    this.storage = storage;
+    this.random = random;
+    this.drills = 0;
+    this.cases = {};
+    this.selected = { oll: allIds('oll'), pll: allIds('pll') };
+    this.load();
+  }
+
+  // Record for a case, with zeros if it has never come up
+  get(set, id) {
+    return this.cases[`${set}:${id}`] ?? {
+      attempts: 0, fails: 0, best: null, recent: [], box: 0, due: 0
+    };
+  }
+
+  // Mean of the last few solves of a case, or null
+  mean(set, id) {
+    const { recent } = this.get(set, id);
+    if (recent.length === 0) return null;
+    return recent.reduce((sum, time) => sum + time, 0) / recent.length;
+  }
+
+  // A case has been tried: solved in time ms, or skipped
+  record(set, id, { solved, time = null }) {
+    const entry = { ...this.get(set, id) };
+    entry.attempts++;
+    this.drills++;
+
+    if (solved) {
+      entry.best = entry.best === null ? time : Math.min(entry.best, time);
+      entry.recent = [...entry.recent, time].slice(-RECENT_TIMES);
+      if (time <= TARGET_TIMES[set]) entry.box = Math.min(entry.box + 1, MAX_BOX);
+    } else {
+      entry.fails++;
+      entry.box = 0;
+    }
+    entry.due = this.drills + 2 ** entry.box;
+
+    this.cases[`${set}:${id}`] = entry;
+    this.save();
+  }
+
+  isSelected(set, id) {
+    return this.selected[set].includes(id);
+  }
+
+  // Practise only these cases of a set (all of them for null)
+  setSelected(set, ids = null) {
+    const known = allIds(set);
+    this.selected[set] = ids ? known.filter(id => ids.includes(id)) : known;
+    this.save();
+  }
+
+  // The selected case due soonest (a random one of those due together),
+  // avoiding a repeat of the last case if there is a choice. Null if none
+  // are selected
+  pickNext(set, lastId = null) {
+    let ids = this.selected[set];
+    if (ids.length > 1) ids = ids.filter(id => id !== lastId);
+    if (ids.length === 0) return null;
+
+    const soonest = Math.min(...ids.map(id => this.get(set, id).due));
+    const due = ids.filter(id => this.get(set, id).due === soonest);
+    return due[Math.floor(this.random() * due.length)];
+  }
+
+  // Forget every attempt (the selection stays)
+  reset() {
+    this.drills = 0;
+    this.cases = {};
+    this.save();
+  }
+
+  toJSON() {
+    return { version: TRAINER_VERSION, drills: this.drills, cases: this.cases, selected: this.selected };
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+      if (data?.version !== TRAINER_VERSION) return;
+
+      this.drills = Number.isInteger(data.drills) ? data.drills : 0;
+      this.cases = typeof data.cases === 'object' && data.cases ? data.cases : {};
+      Object.keys(CASE_SETS).forEach(set => {
+        if (Array.isArray(data.selected?.[set])) {
+          this.selected[set] = allIds(set).filter(id => data.selected[set].includes(id));
+        }
+      });
+    } catch {
+      // Corrupt or unavailable storage - start with no practice recorded
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch {
+      // Storage full or disabled (e.g. private browsing) - keep in memory
+    }
+
+    this.emit('change', this);
+  }
+}
@@ -0,0 +1,123 @@
+import { formatTime } from '../timer/SessionStats.js';
+import { CASE_SETS } from './CaseStats.js';
+
+// The trainer mode UI (markup in index.html): OLL or PLL, which cases to
+// practise, the clock, and how the latest attempts went
+export class TrainerPanel {
+  constructor(trainer, stats) {
+    this.trainer = trainer; // AlgTrainer
+    this.stats = stats; // CaseStats
+
+    this.element = document.getElementById('trainer-panel');
+    this.setSelect = document.getElementById('trainer-set');
+    this.display = document.getElementById('trainer-display');
+    this.status = document.getElementById('trainer-status');
+    this.casesList = document.getElementById('trainer-cases');
+    this.resultsList = document.getElementById('trainer-results');
+    this.skipBtn = document.getElementById('trainer-skip-btn');
+
+    this.setSelect?.addEventListener('change', () => {
+      this.trainer.setCaseSet(this.setSelect.value);
+      this.setSelect.blur(); // Don't let face keys change the selection
+      this.trainer.next();
+    });
+
+    document.getElementById('trainer-next-btn')?.addEventListener('click', (e) => {
+      e.currentTarget.blur();
+      this.trainer.next();
+    });
+    this.skipBtn?.addEventListener('click', (e) => {
+      e.currentTarget.blur();
+      this.trainer.skip();
+    });
+    document.getElementById('trainer-all-btn')?.addEventListener('click', () => {
+      this.stats.setSelected(this.trainer.set);
+    });
+    document.getElementById('trainer-none-btn')?.addEventListener('click', () => {
+      this.stats.setSelected(this.trainer.set, []);
+    });
+    document.getElementById('trainer-reset-btn')?.addEventListener('click', () => {
+      if (window.confirm('Forget how every case has gone so far?')) this.stats.reset();
+    });
+
+    this.trainer.on('change', () => this.render());
+    this.stats.on('change', () => this.render());
+    this.render();
+  }
+
+  show() {
+    this.element?.classList.remove('hidden');
+    this.render();
+  }
+
+  hide() {
+    this.element?.classList.add('hidden');
+  }
+
+  // Called every frame to keep the clock running
+  update() {
+    if (this.display && this.trainer.state === 'running') {
+      this.display.textContent = formatTime(this.trainer.elapsed);
+    }
+  }
+
+  render() {
+    const { state, set } = this.trainer;
+    const last = this.trainer.results[0];
+
+    if (this.setSelect) this.setSelect.value = set;
+    if (this.skipBtn) this.skipBtn.disabled = !this.trainer.isAttempting;
+
+    if (this.display && state !== 'running') {
+      this.display.textContent = state === 'done' && last.solved ? formatTime(last.time) : '0.00';
+    }
+
+    // The case's name only once it's over - recognising it is the point
+    if (this.status) {
+      this.status.textContent = {
+        idle: this.stats.selected[set].length === 0
+          ? 'Pick some cases to practise'
+          : 'Press Next (or Space) for a case',
+        ready: 'Recognise the case - your first move starts the clock',
+        running: 'Solving...',
+        done: last && `${last.case.name}: ${last.case.algorithm}`
+      }[state];
+    }
+
+    if (this.casesList) {
+      this.casesList.replaceChildren(...CASE_SETS[set].map(({ id, name }) => {
+        const record = this.stats.get(set, id);
+        const mean = this.stats.mean(set, id);
+
+        const label = document.createElement('label');
+        label.className = 'trainer-case';
+        label.classList.toggle('weak', record.attempts > 0 && record.box === 0);
+        label.title = record.attempts === 0
+          ? `${name} - not tried yet`
+          : `${name} - ${record.attempts} tried, ${record.fails} skipped, best ${formatTime(record.best)}, mean ${formatTime(mean)}`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.stats.isSelected(set, id);
+        checkbox.addEventListener('change', () => {
+          const selected = this.stats.selected[set].filter(other => other !== id);
+          this.stats.setSelected(set, checkbox.checked ? [...selected, id] : selected);
+          checkbox.blur();
+        });
+
+        label.append(checkbox, id);
+        return label;
+      }));
+    }
+
+    if (this.resultsList) {
+      this.resultsList.replaceChildren(...this.trainer.results.map((result) => {
+        const item = document.createElement('li');
+        item.textContent = `${result.case.name} ${result.solved ? formatTime(result.time) : 'skipped'}`;
+        item.classList.toggle('skipped', !result.solved);
+        item.title = result.case.algorithm;
+        return item;
+      }));
+    }
+  }
+}
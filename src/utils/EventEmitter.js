@@ -0,0 +1,42 @@
+// Minimal publish/subscribe base class
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map(); // event name -> Set of listeners
+  }
+
+  // Returns a function that unsubscribes again
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  once(event, listener) {
+    const off = this.on(event, (...args) => {
+      off();
+      listener(...args);
+    });
+    return off;
+  }
+
+  emit(event, ...args) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    // Copy so listeners can unsubscribe while being called. One listener
+    // throwing doesn't stop the rest (or whatever emitted the event)
+    [...listeners].forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (err) {
+        console.error(`Error in a '${event}' listener:`, err);
+      }
+    });
+  }
+}
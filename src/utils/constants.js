@@ -18,10 +18,25 @@ export const FACES = {
   back:   { axis: 'z', direction: -1, color: COLORS.blue }
 };
 
+// Color name shown on each face of a solved cube
+export const FACE_COLORS = {
+  right: 'red',
+  left: 'orange',
+  up: 'white',
+  down: 'yellow',
+  front: 'green',
+  back: 'blue'
+};
+
 // Cubie size and gap
 export const CUBIE_SIZE = 1;
 export const CUBIE_GAP = 0.05;
 
+// Supported cube sizes (layers per side)
+export const DEFAULT_CUBE_SIZE = 3;
+export const MIN_CUBE_SIZE = 2;
+export const MAX_CUBE_SIZE = 7;
+
 // Website sections mapped to face colors
 export const SECTIONS = {
   white: { name: 'About', path: '/about' },